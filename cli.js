@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { createContext } = require('./lib/context');
+const { resolveBoard, findBoardForToken } = require('./lib/leaderboards');
+const { refreshLeaderboard, renderLatest, restoreState } = require('./lib/rankings');
+const { compareSnapshots, formatDelta } = require('./lib/movement');
+const { migrateLegacyState } = require('./lib/store');
+const { formatSnapshot } = require('./lib/routes/history');
+const { exportFormat, snapshotRows, historyRows, writeRows } = require('./lib/exports');
+const { loadTheme } = require('./lib/themes');
+const clock = require('./lib/clock');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  snapshot [--board <board>]                   fetch, store and render a fresh ranking
+                                               (every board unless --board is given)
+  render --token <id> [--board <board>] [--theme <name>]
+                                               redraw one token from the last ranking
+  render --all [--board <board>] [--theme <name>]
+                                               redraw every token of a board
+  diff <t1> <t2> [--board <board>] [--json]    compare the snapshots in effect at two times
+  export [--board <board>] [--at <time>] [--collection <id>] [--format json|csv|ndjson]
+                                               print a snapshot (JSON by default)
+  export --from <time> [--to <time>] [--board <board>] [--collection <id>] [--format csv|ndjson]
+                                               print every snapshot in a range (NDJSON by default)
+  migrate [--history <file>]                   import the pre-database JSON state files
+
+<board> is a leaderboard id on the default chain ("volume") or chain/id
+("ethereum/volume"). Times are unix seconds, milliseconds or ISO 8601.`;
+
+const OPTIONS = {
+  board: { type: 'string' },
+  token: { type: 'string' },
+  all: { type: 'boolean' },
+  theme: { type: 'string' },
+  at: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  collection: { type: 'string' },
+  format: { type: 'string' },
+  json: { type: 'boolean' },
+  history: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+function boardOption(context, ref) {
+  const board = resolveBoard(context.leaderboards, ref);
+  if (!board) throw new UsageError(`Unknown leaderboard: ${ref}`);
+  return board;
+}
+
+function timeArgument(value, name) {
+  const time = clock.parseTime(value);
+  if (time === null || Number.isNaN(time)) throw new UsageError(`Invalid ${name}: ${value}`);
+  return time;
+}
+
+const COMMANDS = {
+  async snapshot(context, { values }) {
+    const boards = values.board ? [boardOption(context, values.board)] : context.leaderboards;
+    let failed = 0;
+    for (const board of boards) {
+      try {
+        const result = await refreshLeaderboard(board, context);
+        if (!result.ok) failed++;
+        console.log(`${board.key}: ${result.ok ? `stored ${result.collections} collections` : 'no data fetched'}`);
+      } catch (error) {
+        failed++;
+      }
+    }
+    return failed ? 1 : 0;
+  },
+
+  async render(context, { values }) {
+    if (!values.all && values.token === undefined) throw new UsageError('render needs --token <id> or --all');
+    const tokenId = values.all ? null : Number(values.token);
+    if (tokenId !== null && !Number.isInteger(tokenId)) throw new UsageError(`Invalid token ID: ${values.token}`);
+
+    const board = (values.board || tokenId === null)
+      ? boardOption(context, values.board)
+      : findBoardForToken(context.leaderboards, tokenId) || boardOption(context);
+    const theme = values.theme ? loadTheme(values.theme) : board.theme;
+    const rendered = await renderLatest(board, context.store, {
+      tokenIds: tokenId === null ? null : [tokenId],
+      theme,
+      force: true
+    });
+    if (!rendered) {
+      console.error(`Nothing rendered for ${board.key}: no ranking stored${tokenId === null ? '' : ` for token ${tokenId}`}`);
+      return 1;
+    }
+    return 0;
+  },
+
+  async diff(context, { values, positionals }) {
+    if (positionals.length !== 2) throw new UsageError('diff needs two times');
+    const board = boardOption(context, values.board);
+    const [from, to] = positionals.map((value, i) => timeArgument(value, i ? 't2' : 't1'));
+    const reference = context.store.snapshotAt(board.key, from);
+    const current = context.store.snapshotAt(board.key, to);
+    if (!reference || !current) {
+      console.error(`No snapshot of ${board.key} at or before ${new Date(reference ? to : from).toISOString()}`);
+      return 1;
+    }
+
+    const changes = compareSnapshots(current, reference);
+    if (values.json) {
+      console.log(JSON.stringify({
+        board: board.key,
+        from: new Date(reference.takenAt).toISOString(),
+        to: new Date(current.takenAt).toISOString(),
+        ...changes
+      }, null, 2));
+      return 0;
+    }
+
+    console.log(`${board.key}: ${new Date(reference.takenAt).toISOString()} -> ${new Date(current.takenAt).toISOString()}`);
+    const sections = [
+      ['Gainers', changes.gainers, entry => `${formatDelta(entry).padStart(5)}  #${entry.rank} ${entry.name || entry.collectionId}`],
+      ['Losers', changes.losers, entry => `${formatDelta(entry).padStart(5)}  #${entry.rank} ${entry.name || entry.collectionId}`],
+      ['New entries', changes.newEntries, entry => `  New  #${entry.rank} ${entry.name || entry.collectionId}`],
+      ['Dropouts', changes.dropouts, entry => `  Out  was #${entry.rank} ${entry.name || entry.collectionId}`]
+    ];
+    for (const [title, entries, format] of sections) {
+      console.log(`\n${title} (${entries.length})`);
+      for (const entry of entries) console.log(format(entry));
+    }
+    return 0;
+  },
+
+  async export(context, { values }) {
+    const board = boardOption(context, values.board);
+    const range = values.from !== undefined || values.to !== undefined;
+    if (range && values.at !== undefined) throw new UsageError('export takes --at or --from/--to, not both');
+    const formatName = values.format || (range ? 'ndjson' : 'json');
+    const format = exportFormat(formatName);
+    if (!format && (range || formatName !== 'json')) {
+      throw new UsageError(`--format must be ${range ? 'csv or ndjson for a range' : 'json, csv or ndjson'}`);
+    }
+
+    if (range) {
+      if (values.from === undefined) throw new UsageError('export needs --from with --to');
+      const rows = historyRows(context.store, board, {
+        from: timeArgument(values.from, '--from'),
+        to: values.to === undefined ? clock.now() : timeArgument(values.to, '--to'),
+        collectionId: values.collection
+      });
+      if (!await writeRows(process.stdout, format, rows)) console.error(`No snapshots of ${board.key} in that range`);
+      return 0;
+    }
+
+    const snapshot = values.at === undefined
+      ? context.store.latestSnapshot(board.key)
+      : context.store.snapshotAt(board.key, timeArgument(values.at, '--at'));
+    if (!snapshot) {
+      console.error(`No snapshot of ${board.key} recorded${values.at === undefined ? '' : ' at or before that time'}`);
+      return 1;
+    }
+    if (!format) {
+      const formatted = formatSnapshot(board, snapshot);
+      if (values.collection) formatted.rankings = formatted.rankings.filter(entry => entry.collectionId === values.collection);
+      console.log(JSON.stringify(formatted, null, 2));
+      return 0;
+    }
+    const previous = context.store.snapshotAt(board.key, snapshot.takenAt - 1);
+    await writeRows(process.stdout, format, snapshotRows(board, snapshot, previous, values.collection));
+    return 0;
+  },
+
+  async migrate(context, { values }) {
+    const migrated = migrateLegacyState(context.store, context.leaderboards, values.history);
+    console.log(migrated ? 'Imported legacy state files' : 'Legacy state was already imported');
+    return 0;
+  }
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    return command || parsed.values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const context = createContext({ migrate: command !== 'migrate' });
+  try {
+    if (command !== 'migrate') await restoreState(context.leaderboards, context.store);
+    return await COMMANDS[command](context, { values: parsed.values, positionals });
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(error.message);
+    return 2;
+  } finally {
+    context.store.close();
+  }
+}
+
+// `rank-check export ... | head` closes the pipe early; that is not an error.
+process.stdout.on('error', error => {
+  if (error.code !== 'EPIPE') throw error;
+  process.exit(0);
+});
+
+main(process.argv.slice(2)).then(
+  code => process.exit(code),
+  error => {
+    console.error(error);
+    process.exit(1);
+  }
+);
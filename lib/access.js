@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const RATE_LIMIT_WINDOW = Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60) * 1000;
+const EXPOSED_HEADERS = 'ETag, Retry-After, Content-Disposition, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset';
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function list(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Compares against every key so the time taken does not reveal which one
+// (or whether any) matched. Returns a short id for the matching key, safe to
+// use as a rate limit bucket or in logs, or null.
+function createKeyring(keys) {
+  const digests = keys.map(digest);
+  return {
+    size: digests.length,
+    match(candidate) {
+      const presented = digest(candidate);
+      let matched = null;
+      for (const key of digests) {
+        if (crypto.timingSafeEqual(presented, key)) matched = key.toString('hex').slice(0, 12);
+      }
+      return matched;
+    }
+  };
+}
+
+const apiKeys = createKeyring(list(process.env.API_KEYS || ''));
+
+// CORS_ORIGINS is "*" (the default), a comma-separated list of origins, or
+// empty to send no CORS headers at all. Preflights are answered here.
+function cors(origins = list(process.env.CORS_ORIGINS ?? '*')) {
+  const any = origins.includes('*');
+  return (req, res, next) => {
+    const origin = req.get('origin');
+    const allowed = Boolean(origin) && (any || origins.includes(origin));
+    if (origins.length && !any) res.vary('Origin');
+    if (allowed) {
+      res.set('Access-Control-Allow-Origin', any ? '*' : origin);
+      res.set('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+    }
+    if (req.method === 'OPTIONS' && req.get('access-control-request-method')) {
+      if (!allowed) return res.status(403).json({ error: 'Origin not allowed' });
+      res.set({
+        'Access-Control-Allow-Methods': 'GET, HEAD, PUT, DELETE',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-API-Key',
+        'Access-Control-Max-Age': '600'
+      });
+      return res.status(204).end();
+    }
+    next();
+  };
+}
+
+// Sets req.client: requests with a valid X-API-Key are identified by their
+// key, everything else by IP address (set TRUST_PROXY behind a proxy so
+// this is the client's rather than the proxy's).
+function identifyClient(req, res, next) {
+  const presented = req.get('x-api-key');
+  const key = presented && apiKeys.size ? apiKeys.match(presented) : null;
+  req.client = key
+    ? { id: `key:${key}`, keyed: true, presentedKey: true }
+    : { id: `ip:${req.ip}`, keyed: false, presentedKey: Boolean(presented) };
+  next();
+}
+
+// Fixed-window limits per client: RATE_LIMIT_PER_IP and RATE_LIMIT_PER_KEY
+// requests per RATE_LIMIT_WINDOW_SECONDS; 0 turns a limit off. Windows run
+// on real time, as replay mode pins the pipeline clock.
+function rateLimit({
+  windowMs = RATE_LIMIT_WINDOW,
+  perIp = Number(process.env.RATE_LIMIT_PER_IP || 300),
+  perKey = Number(process.env.RATE_LIMIT_PER_KEY || 3000)
+} = {}) {
+  const windows = new Map();
+  let sweepAt = 0;
+
+  return (req, res, next) => {
+    const limit = req.client.keyed ? perKey : perIp;
+    if (!limit) return next();
+    const now = Date.now();
+    if (now >= sweepAt) {
+      for (const [id, window] of windows) {
+        if (window.resetAt <= now) windows.delete(id);
+      }
+      sweepAt = now + windowMs;
+    }
+
+    let window = windows.get(req.client.id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(req.client.id, window);
+    }
+    window.count++;
+
+    const reset = String(Math.ceil((window.resetAt - now) / 1000));
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+      'RateLimit-Reset': reset
+    });
+    if (window.count > limit) {
+      res.set('Retry-After', reset);
+      return res.status(429).json({ error: 'Too many requests, try again later' });
+    }
+    next();
+  };
+}
+
+// Gates the heavier analytics endpoints once API_KEYS is set; with no keys
+// configured they stay open.
+function requireApiKey(req, res, next) {
+  if (!apiKeys.size || req.client.keyed) return next();
+  res.status(401).json({ error: req.client.presentedKey ? 'Invalid API key' : 'This endpoint requires an X-API-Key header' });
+}
+
+// Requires `Authorization: Bearer <ADMIN_API_KEY>`. With no key configured
+// the binding API is disabled rather than left open.
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'Binding API is disabled; set ADMIN_API_KEY to enable it' });
+  }
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  if (!match || !crypto.timingSafeEqual(digest(match[1]), digest(ADMIN_API_KEY))) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+  next();
+}
+
+module.exports = { cors, identifyClient, rateLimit, requireApiKey, requireAdmin };
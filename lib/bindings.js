@@ -0,0 +1,48 @@
+// Bound tokens each follow one collection on one leaderboard for good,
+// unlike rank-slot tokens whose collection changes with every refresh. They
+// share a token ID space of their own and render into images/bound.
+const BOUND_IMAGES_PATH = '/images/bound';
+
+// Counts the collections actually ranked, which filters can leave short of
+// the board's size; the size stands in until the first snapshot.
+function outOfTopLabel(board, collections) {
+  return `Out of top ${collections.length || board.size}`;
+}
+
+// Where a bound collection stands in the board's latest served list:
+// 'ranked' with its current entry, or 'out' with the last entry recorded
+// for it (if it was ever on the board).
+function resolveBinding(board, binding, collections, store) {
+  const current = collections.find(collection => collection.id === binding.collectionId);
+  if (current) {
+    return {
+      state: 'ranked',
+      rank: current.rank,
+      rankLabel: String(current.rank),
+      collection: current,
+      color: current.color,
+      movement: current.movements?.[board.colorWindow.id]?.movement || 'same',
+      lastRankedAt: null
+    };
+  }
+
+  const last = store.lastEntry(board.key, binding.collectionId);
+  return {
+    state: 'out',
+    rank: null,
+    rankLabel: outOfTopLabel(board, collections),
+    collection: {
+      id: binding.collectionId,
+      chain: last?.chain || (board.chain ? board.chain.id : null),
+      name: last?.name || binding.collectionId,
+      image: binding.image,
+      floor: last?.floor ?? null,
+      volume: last?.volume || {}
+    },
+    color: 'red',
+    movement: 'out',
+    lastRankedAt: last ? last.takenAt : null
+  };
+}
+
+module.exports = { resolveBinding, outOfTopLabel, BOUND_IMAGES_PATH };
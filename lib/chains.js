@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchTopCollections, fetchWatchlistCollections, SORTS } = require('./providers');
+
+const CONFIG_FILE = process.env.CHAINS_CONFIG || path.join(__dirname, '..', 'chains.json');
+
+// The first enabled chain is the default: its boards keep the un-namespaced
+// routes and directories from before multi-chain support.
+function loadChains(file = CONFIG_FILE) {
+  const chains = JSON.parse(fs.readFileSync(file, 'utf8'))
+    .filter(chain => chain.enabled !== false)
+    .map(chain => {
+      if (!chain.id || !/^[a-z0-9-]+$/.test(chain.id) || chain.id === 'all') {
+        throw new Error(`Invalid chain id: ${chain.id}`);
+      }
+      if (!chain.currency?.symbol) {
+        throw new Error(`Chain ${chain.id} has no currency symbol`);
+      }
+      return {
+        ...chain,
+        name: chain.name || chain.id,
+        currency: { symbol: chain.currency.symbol, decimals: chain.currency.decimals ?? 18 },
+        usdRate: chain.usdRate || 0
+      };
+    });
+  if (!chains.length) throw new Error('No chains enabled');
+  return chains;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Derives the native currency's USD price from the floor asks that Reservoir
+// quotes in both units, falling back to the configured static rate.
+function nativeUsdRate(chain, collections) {
+  const rates = collections
+    .filter(c => c.floor > 0 && c.floorUsd > 0)
+    .map(c => c.floorUsd / c.floor);
+  return rates.length ? median(rates) : chain.usdRate;
+}
+
+// Ids are prefixed with the chain because the same contract address can be
+// deployed on more than one chain.
+function toUsd(collection, rate) {
+  const convert = values => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value * rate]));
+  return {
+    ...collection,
+    id: `${collection.chain}:${collection.id}`,
+    floor: collection.floor * rate,
+    volume: convert(collection.volume)
+  };
+}
+
+// The native currency's USD price from the price feed, which snapshots use
+// too; the floor-derived rate only stands in when the feed has none.
+async function usdRate(chain, collections, priceFeed) {
+  const rates = priceFeed ? await priceFeed.getRates(chain.currency.symbol) : {};
+  return rates.USD || nativeUsdRate(chain, collections);
+}
+
+// Fetches the top (or watchlisted) collections on each chain, converts
+// prices and volumes to USD, and ranks the merged list.
+async function fetchCrossChainCollections(chains, providersByChain, { target, sortBy, screen, watchlist = null, priceFeed = null }) {
+  let merged = [];
+  for (const chain of chains) {
+    const providers = providersByChain[chain.id];
+    const collections = watchlist
+      ? await fetchWatchlistCollections(providers, { ids: watchlist.ids[chain.id], sortBy, screen })
+      : await fetchTopCollections(providers, { target, sortBy, screen });
+    const rate = await usdRate(chain, collections, priceFeed);
+    if (!rate) {
+      console.error(`No USD rate for ${chain.id}, leaving it out of the cross-chain ranking`);
+      continue;
+    }
+    merged = merged.concat(collections.map(collection => toUsd(collection, rate)));
+  }
+  const value = SORTS[sortBy];
+  merged.sort((a, b) => value(b) - value(a));
+  return merged.slice(0, target);
+}
+
+module.exports = { loadChains, nativeUsdRate, fetchCrossChainCollections };
@@ -0,0 +1,29 @@
+// Wall clock for the ranking pipeline. Replay mode pins it to the time the
+// replayed responses were originally recorded.
+let pinned = null;
+
+function now() {
+  return pinned === null ? Date.now() : pinned;
+}
+
+function pin(timestamp) {
+  pinned = timestamp;
+}
+
+function unpin() {
+  pinned = null;
+}
+
+// Accepts unix seconds, unix milliseconds or an ISO 8601 string. Returns
+// null when empty and NaN when unreadable.
+function parseTime(value) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) {
+    const number = Number(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : parsed;
+}
+
+module.exports = { now, pin, unpin, parseTime };
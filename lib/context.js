@@ -0,0 +1,22 @@
+const { createProviders } = require('./providers');
+const { loadChains } = require('./chains');
+const { createPriceFeed } = require('./prices');
+const { loadLeaderboards } = require('./leaderboards');
+const { restoreLatest } = require('./rankings');
+const { openStore, migrateLegacyState } = require('./store');
+
+// Loads the configuration and opens the store the same way for the server
+// and the CLI: chains, their market-data providers, the price feed, the
+// leaderboards and their last good rankings.
+function createContext({ migrate = true } = {}) {
+  const chains = loadChains();
+  const providersByChain = Object.fromEntries(chains.map(chain => [chain.id, createProviders(chain)]));
+  const priceFeed = createPriceFeed({ chains });
+  const leaderboards = loadLeaderboards(chains);
+  const store = openStore();
+  if (migrate) migrateLegacyState(store, leaderboards);
+  restoreLatest(leaderboards, store);
+  return { chains, providersByChain, priceFeed, leaderboards, store };
+}
+
+module.exports = { createContext };
@@ -0,0 +1,116 @@
+const COLUMNS = [
+  'takenAt',
+  'board',
+  'rank',
+  'collectionId',
+  'chain',
+  'name',
+  'floor',
+  'volume1d',
+  'volume7d',
+  'volume30d',
+  'sales1d',
+  'currency',
+  'previousRank',
+  'movement',
+  'color'
+];
+
+// Quotes fields that need it, and defuses values a spreadsheet would run as
+// a formula (collection names are chosen by whoever deployed the contract).
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: `${COLUMNS.join(',')}\r\n`,
+    line: row => `${COLUMNS.map(column => csvField(row[column])).join(',')}\r\n`
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    header: '',
+    line: row => `${JSON.stringify(row)}\n`
+  }
+};
+
+function exportFormat(name = 'csv') {
+  return Object.hasOwn(FORMATS, name) ? FORMATS[name] : null;
+}
+
+// One row per entry of `snapshot`; movement is against `previous`, the
+// board's snapshot before it, and is 'new' for collections not in it.
+function* snapshotRows(board, snapshot, previous, collectionId) {
+  const previousRanks = new Map((previous ? previous.entries : []).map(entry => [entry.collectionId, entry.rank]));
+  const takenAt = new Date(snapshot.takenAt).toISOString();
+  for (const entry of snapshot.entries) {
+    if (collectionId && entry.collectionId !== collectionId) continue;
+    const previousRank = previousRanks.has(entry.collectionId) ? previousRanks.get(entry.collectionId) : null;
+    let movement = 'new';
+    if (previousRank !== null) {
+      movement = entry.rank < previousRank ? 'up' : entry.rank > previousRank ? 'down' : 'same';
+    }
+    yield {
+      takenAt,
+      board: board.key,
+      rank: entry.rank,
+      collectionId: entry.collectionId,
+      chain: entry.chain,
+      name: entry.name,
+      floor: entry.floor,
+      volume1d: entry.volume['1day'],
+      volume7d: entry.volume['7day'],
+      volume30d: entry.volume['30day'],
+      sales1d: entry.sales['1day'],
+      currency: board.currency,
+      previousRank,
+      movement,
+      color: entry.color
+    };
+  }
+}
+
+// Rows for every snapshot taken between `from` and `to`. Snapshots are
+// loaded one at a time so a long range never sits in memory at once.
+function* historyRows(store, board, { from, to, collectionId }) {
+  const snapshots = store.snapshotsBetween(board.key, from, to);
+  if (!snapshots.length) return;
+  let previous = store.snapshotAt(board.key, snapshots[0].takenAt - 1);
+  for (const { load } of snapshots) {
+    const snapshot = load();
+    yield* snapshotRows(board, snapshot, previous, collectionId);
+    previous = snapshot;
+  }
+}
+
+function drained(stream) {
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+// Writes `rows` to a writable stream, waiting for it to drain when its
+// buffer fills. Stops early if the stream is closed (e.g. the client went
+// away). Returns the number of rows written.
+async function writeRows(stream, format, rows) {
+  let count = 0;
+  if (format.header) stream.write(format.header);
+  for (const row of rows) {
+    if (stream.destroyed) break;
+    if (!stream.write(format.line(row))) await drained(stream);
+    count++;
+  }
+  return count;
+}
+
+module.exports = { COLUMNS, exportFormat, snapshotRows, historyRows, writeRows };
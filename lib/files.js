@@ -0,0 +1,31 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Writes through a temp file in the same directory and renames it over the
+// target, so readers see either the old file or the new one, never a partial.
+function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
+}
+
+// Runs `fn` over `items` with at most `limit` calls in flight.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = { writeFileAtomic, mapWithConcurrency };
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+
+const FILTERS_FILE = process.env.FILTERS_CONFIG || path.join(__dirname, '..', 'filters.json');
+
+const NO_FILTERS = {
+  blocklist: [],
+  allowlist: [],
+  minSales: 0,
+  minOwners: 0,
+  maxVolumeToFloor: null,
+  spike: null
+};
+
+const FLAG_LABELS = { volume_spike: 'Volume spike' };
+
+// Global defaults from filters.json; a missing file disables filtering.
+// The shipped file leaves every rule off, so boards opt in through their
+// own `filters` or operators turn rules on here.
+function loadFilterDefaults(file = FILTERS_FILE) {
+  if (!fs.existsSync(file)) return NO_FILTERS;
+  return { ...NO_FILTERS, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+// A board's `filters` overrides the thresholds and adds to the lists;
+// `filters: false` turns filtering off for that board.
+function resolveFilters(overrides = {}, defaults) {
+  if (overrides === false) return resolveFilters({}, NO_FILTERS);
+  const rules = { ...defaults, ...overrides };
+  const ids = (...lists) => new Set(lists.flatMap(list => list || []).map(id => String(id).toLowerCase()));
+  return {
+    blocklist: ids(defaults.blocklist, overrides.blocklist),
+    allowlist: ids(defaults.allowlist, overrides.allowlist),
+    minSales: Number(rules.minSales) || 0,
+    minOwners: Number(rules.minOwners) || 0,
+    maxVolumeToFloor: rules.maxVolumeToFloor ? Number(rules.maxVolumeToFloor) : null,
+    spike: rules.spike ? { factor: Number(rules.spike.factor) || 10, exclude: Boolean(rules.spike.exclude) } : null
+  };
+}
+
+// List entries may be a bare id or "chain:id".
+function listed(list, collection) {
+  const id = String(collection.id).toLowerCase();
+  return list.has(id) || list.has(`${collection.chain}:${id}`);
+}
+
+// Average 1-day sale price as a multiple of the floor. Wash trades between
+// a seller's own wallets are typically far above the floor.
+function volumeToFloor(collection) {
+  const sales = collection.sales['1day'];
+  if (!(collection.floor > 0) || !(sales > 0)) return null;
+  return collection.volume['1day'] / sales / collection.floor;
+}
+
+// 1-day volume as a multiple of the daily average over the six days before.
+function spikeRatio(collection) {
+  const today = collection.volume['1day'];
+  if (!(today > 0)) return null;
+  const before = (collection.volume['7day'] - today) / 6;
+  return before > 0 ? today / before : Infinity;
+}
+
+function check(collection, rules) {
+  if (listed(rules.blocklist, collection)) return { reason: 'blocklist', detail: 'on the blocklist' };
+  if (listed(rules.allowlist, collection)) return null;
+
+  const sales = collection.sales['1day'];
+  if (sales < rules.minSales) {
+    return { reason: 'min_sales', detail: `${sales} sales in 24h, minimum is ${rules.minSales}` };
+  }
+  if (collection.owners < rules.minOwners) {
+    return { reason: 'min_owners', detail: `${collection.owners} owners, minimum is ${rules.minOwners}` };
+  }
+  const ratio = volumeToFloor(collection);
+  if (rules.maxVolumeToFloor && ratio !== null && ratio > rules.maxVolumeToFloor) {
+    return {
+      reason: 'volume_to_floor',
+      detail: `average sale is ${ratio.toFixed(1)}x the floor, maximum is ${rules.maxVolumeToFloor}x`
+    };
+  }
+  return null;
+}
+
+// Screens the collections fetched for one refresh. screen() returns the
+// collections to keep, with a `flags` list on each; every exclusion and flag
+// is logged and collected for report().
+function createScreen(rules, label) {
+  const excluded = new Map();
+  const flagged = new Map();
+
+  function describe(collection, result) {
+    return { id: collection.id, chain: collection.chain, name: collection.name, ...result };
+  }
+
+  function screen(collections) {
+    const kept = [];
+    for (const collection of collections) {
+      const key = `${collection.chain}:${collection.id}`;
+      let result = check(collection, rules);
+      const flags = [];
+
+      const ratio = rules.spike && !result && !listed(rules.allowlist, collection) ? spikeRatio(collection) : null;
+      if (ratio !== null && ratio >= rules.spike.factor) {
+        const spike = {
+          reason: 'volume_spike',
+          detail: Number.isFinite(ratio)
+            ? `24h volume is ${ratio.toFixed(1)}x the prior daily average`
+            : '24h volume with no volume in the prior six days'
+        };
+        if (rules.spike.exclude) {
+          result = spike;
+        } else {
+          flags.push('volume_spike');
+          if (!flagged.has(key)) {
+            console.log(`Flagging ${collection.name} (${collection.id}) on ${label}: ${spike.detail}`);
+            flagged.set(key, describe(collection, spike));
+          }
+        }
+      }
+
+      if (result) {
+        if (!excluded.has(key)) {
+          console.log(`Excluding ${collection.name} (${collection.id}) from ${label}: ${result.detail}`);
+          excluded.set(key, describe(collection, result));
+        }
+        continue;
+      }
+      kept.push({ ...collection, flags });
+    }
+    return kept;
+  }
+
+  return {
+    screen,
+    report: () => ({ excluded: [...excluded.values()], flagged: [...flagged.values()] })
+  };
+}
+
+function saveScreening(store, board, checkedAt, report) {
+  store.setMeta(`screening:${board.key}`, JSON.stringify({ checkedAt, ...report }));
+}
+
+// The exclusions and flags from the board's last successful refresh.
+function loadScreening(store, board) {
+  const saved = store.getMeta(`screening:${board.key}`);
+  return saved ? JSON.parse(saved) : null;
+}
+
+function flagTraits(collection) {
+  return (collection.flags || []).map(flag => ({ trait_type: 'Flag', value: FLAG_LABELS[flag] || flag }));
+}
+
+module.exports = {
+  loadFilterDefaults,
+  resolveFilters,
+  createScreen,
+  saveScreening,
+  loadScreening,
+  flagTraits
+};
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { createTransport } = require('./recorder');
+const metrics = require('./metrics');
+
+const transport = createTransport();
+
+const DEFAULTS = {
+  retries: Number(process.env.UPSTREAM_RETRIES || 4),
+  timeout: Number(process.env.UPSTREAM_TIMEOUT_MS || 15000),
+  baseDelay: 1000,
+  maxDelay: 60 * 1000,
+  budgetPerMinute: Number(process.env.UPSTREAM_BUDGET_PER_MINUTE || 120),
+  failureThreshold: Number(process.env.CIRCUIT_FAILURE_THRESHOLD || 5),
+  cooldown: Number(process.env.CIRCUIT_COOLDOWN_MS || 60 * 1000)
+};
+
+// Every failure surfaces as an UpstreamError whose `code` says what went
+// wrong, so callers can decide whether to retry, fail over or give up:
+//   timeout       no response within the per-request timeout
+//   aborted       the caller's AbortSignal fired
+//   network       DNS, connection or socket failure
+//   rate_limited  still 429 after all retries; retryAfter is set when known
+//   http_error    any other non-2xx status; status and body are set
+//   circuit_open  the host has failed repeatedly and is cooling down
+class UpstreamError extends Error {
+  constructor(message, { code, url, status = null, retryAfter = null, body = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.url = url;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.body = body;
+  }
+}
+
+function sleep(ms, signal, url) {
+  const cancelled = () => new UpstreamError(`Request to ${url} was cancelled`, { code: 'aborted', url, cause: signal.reason });
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelled());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(cancelled());
+    }, { once: true });
+  });
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+function parseRetryAfter(value, now) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// x-ratelimit-reset is sent either as an epoch timestamp or as seconds left.
+function parseReset(value, now) {
+  if (!value || !/^\d+(\.\d+)?$/.test(value.trim())) return null;
+  const number = Number(value);
+  if (number > 1e12) return Math.max(0, number - now);
+  if (number > 1e9) return Math.max(0, number * 1000 - now);
+  return number * 1000;
+}
+
+// Token bucket refilled continuously at budgetPerMinute. Rate-limit headers
+// from the server can drain it or block it until a reset time.
+function createBudget(perMinute) {
+  let tokens = perMinute;
+  let updatedAt = Date.now();
+  let blockedUntil = 0;
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(perMinute, tokens + ((now - updatedAt) / 60000) * perMinute);
+    updatedAt = now;
+  }
+
+  return {
+    // Milliseconds to wait before a request may be sent; 0 means go now.
+    reserve() {
+      refill();
+      const now = Date.now();
+      if (blockedUntil > now) return blockedUntil - now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil(((1 - tokens) / perMinute) * 60000);
+    },
+    update({ remaining, resetIn }) {
+      refill();
+      if (remaining !== null) tokens = Math.min(tokens, remaining);
+      if (resetIn !== null && remaining === 0) {
+        blockedUntil = Math.max(blockedUntil, Date.now() + resetIn);
+      }
+    }
+  };
+}
+
+// closed -> open after failureThreshold consecutive failures; open -> a
+// single half-open trial after the cooldown; success closes it again. Every
+// request that allow() lets through must end in succeed(), fail() or, when
+// it never got an answer (the caller aborted), release().
+function createCircuit(failureThreshold, cooldown) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  return {
+    allow() {
+      if (openedAt === null) return true;
+      if (Date.now() - openedAt < cooldown || trialInFlight) return false;
+      trialInFlight = true;
+      return true;
+    },
+    succeed() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    fail() {
+      failures += 1;
+      trialInFlight = false;
+      if (failures >= failureThreshold) openedAt = Date.now();
+    },
+    release() {
+      trialInFlight = false;
+    },
+    state() {
+      if (openedAt === null) return 'closed';
+      return Date.now() - openedAt < cooldown ? 'open' : 'half-open';
+    }
+  };
+}
+
+function createHttpClient(overrides = {}) {
+  const config = { ...DEFAULTS, ...overrides };
+  const budgets = new Map();
+  const circuits = new Map();
+
+  function budgetFor(key) {
+    if (!budgets.has(key)) budgets.set(key, createBudget(config.budgetPerMinute));
+    return budgets.get(key);
+  }
+
+  function circuitFor(host) {
+    if (!circuits.has(host)) circuits.set(host, createCircuit(config.failureThreshold, config.cooldown));
+    return circuits.get(host);
+  }
+
+  // One attempt, timed and counted for /metrics.
+  async function attempt(url, options, signal) {
+    const host = new URL(url).host;
+    const endTimer = metrics.upstreamLatency.startTimer({ host });
+    try {
+      const response = await send(url, options, signal);
+      metrics.upstreamRequests.inc({ host, status: String(response.status) });
+      return response;
+    } catch (error) {
+      metrics.upstreamRequests.inc({ host, status: error.code });
+      throw error;
+    } finally {
+      endTimer();
+    }
+  }
+
+  // Sends with its own timeout, chained to the caller's signal.
+  async function send(url, options, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(), config.timeout);
+    try {
+      return await transport(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (signal?.aborted) throw new UpstreamError(`Request to ${url} was cancelled`, { code: 'aborted', url, cause: error });
+      if (controller.signal.aborted) {
+        throw new UpstreamError(`Request to ${url} timed out after ${config.timeout}ms`, { code: 'timeout', url, cause: error });
+      }
+      throw new UpstreamError(`Request to ${url} failed: ${error.message}`, { code: 'network', url, cause: error });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Resolves with a 2xx response or rejects with an UpstreamError. 429s wait
+  // for the server's Retry-After or reset time; timeouts, network errors and
+  // 5xx back off exponentially. Other 4xx responses are not retried.
+  async function request(url, options = {}) {
+    const { signal, ...fetchOptions } = options;
+    const host = new URL(url).host;
+    const apiKey = fetchOptions.headers?.['x-api-key'];
+    const budgetKey = apiKey ? `${host}:${crypto.createHash('sha1').update(apiKey).digest('hex').slice(0, 8)}` : host;
+    const budget = budgetFor(budgetKey);
+    const circuit = circuitFor(host);
+
+    let lastError = null;
+    for (let i = 0; i < config.retries; i++) {
+      if (!circuit.allow()) {
+        throw new UpstreamError(`Circuit open for ${host}`, { code: 'circuit_open', url, cause: lastError || undefined });
+      }
+
+      let wait;
+      while ((wait = budget.reserve()) > 0) {
+        console.log(`Request budget for ${host} exhausted, waiting ${wait}ms...`);
+        await sleep(wait, signal, url).catch(error => {
+          circuit.release();
+          throw error;
+        });
+      }
+
+      const backoff = Math.min(config.baseDelay * Math.pow(2, i), config.maxDelay);
+      let response;
+      try {
+        response = await attempt(url, fetchOptions, signal);
+      } catch (error) {
+        if (error.code === 'aborted') {
+          circuit.release();
+          throw error;
+        }
+        circuit.fail();
+        lastError = error;
+        if (i === config.retries - 1) break;
+        console.log(`${error.message}, retrying in ${backoff}ms...`);
+        await sleep(backoff, signal, url);
+        continue;
+      }
+
+      const now = Date.now();
+      const remaining = response.headers.get('x-ratelimit-remaining');
+      budget.update({
+        remaining: remaining !== null && /^\d+$/.test(remaining) ? Number(remaining) : null,
+        resetIn: parseReset(response.headers.get('x-ratelimit-reset'), now)
+      });
+
+      // The host answered, so a 429 does not count against the circuit.
+      if (response.status === 429) {
+        circuit.succeed();
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'), now) ??
+          parseReset(response.headers.get('x-ratelimit-reset'), now) ?? backoff;
+        budget.update({ remaining: 0, resetIn: retryAfter });
+        lastError = new UpstreamError(`Rate limited by ${host}`, { code: 'rate_limited', url, status: 429, retryAfter });
+        if (i === config.retries - 1) break;
+        const waitTime = Math.min(retryAfter, config.maxDelay);
+        metrics.upstreamRateLimitRetries.inc({ host });
+        console.log(`Rate limited, retrying in ${waitTime}ms...`);
+        await sleep(waitTime, signal, url);
+        continue;
+      }
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const error = new UpstreamError(`HTTP error: ${response.status} ${response.statusText}`, {
+          code: 'http_error',
+          url,
+          status: response.status,
+          body
+        });
+        if (response.status >= 500) {
+          circuit.fail();
+          lastError = error;
+          if (i === config.retries - 1) break;
+          console.log(`${error.message} from ${host}, retrying in ${backoff}ms...`);
+          await sleep(backoff, signal, url);
+          continue;
+        }
+        circuit.succeed();
+        throw error;
+      }
+
+      circuit.succeed();
+      return response;
+    }
+
+    throw lastError;
+  }
+
+  return {
+    request,
+    circuitState: host => (circuits.has(host) ? circuits.get(host).state() : 'closed')
+  };
+}
+
+const httpClient = createHttpClient();
+
+module.exports = { httpClient, createHttpClient, UpstreamError, parseRetryAfter, parseReset };
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// For URLs versioned with ?v=, whose content never changes.
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+
+const hashes = new Map();
+
+// Content hash of a file, memoized until its size or mtime changes.
+function fileHash(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (e) {
+    return null;
+  }
+  const cached = hashes.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.hash;
+
+  const hash = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+  hashes.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, hash });
+  return hash;
+}
+
+// Sends `body` as JSON with a strong ETag over its serialized content,
+// answering conditional GETs with 304.
+function sendCachedJson(req, res, body, { lastModified, maxAge }) {
+  const json = JSON.stringify(body);
+  res.set('ETag', `"${crypto.createHash('sha256').update(json).digest('hex')}"`);
+  res.set('Cache-Control', `public, max-age=${maxAge}`);
+  if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+
+  if (req.fresh) return res.status(304).end();
+  res.type('json').send(json);
+}
+
+// Options for express.static: strong content-hash ETags instead of the
+// default size/mtime ones, and long-lived caching for versioned (?v=) URLs.
+// Other URLs are cached for maxAge(file) seconds.
+function staticCacheOptions(maxAge) {
+  return {
+    etag: false,
+    setHeaders(res, file) {
+      const hash = fileHash(file);
+      if (hash) res.setHeader('ETag', `"${hash}"`);
+      const versioned = res.req && res.req.query && res.req.query.v;
+      res.setHeader('Cache-Control', versioned ? IMMUTABLE : `public, max-age=${maxAge(file)}`);
+    }
+  };
+}
+
+module.exports = { fileHash, sendCachedJson, staticCacheOptions, IMMUTABLE };
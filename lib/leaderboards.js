@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { SORTS } = require('./providers');
+const { parseWindow } = require('./movement');
+const { loadTheme } = require('./themes');
+const { parseSchedule } = require('./scheduler');
+const { loadFilterDefaults, resolveFilters } = require('./filters');
+const { REPLAY_DIR } = require('./recorder');
+
+const ROOT_DIR = path.join(__dirname, '..');
+// Board image directories resolve against this, so replay renders elsewhere.
+const OUTPUT_DIR = REPLAY_DIR || ROOT_DIR;
+const IMAGES_DIR = path.join(OUTPUT_DIR, 'images');
+const RESERVED_IDS = ['all', 'bound'];
+const CONFIG_FILE = process.env.LEADERBOARDS_CONFIG || path.join(ROOT_DIR, 'leaderboards.json');
+const WATCHLISTS_FILE = process.env.WATCHLISTS_CONFIG || path.join(ROOT_DIR, 'watchlists.json');
+
+// Named lists of collection ids per chain: { name: { chainId: [id, ...] } }.
+// A missing file just means no watchlists.
+function loadWatchlists(file = WATCHLISTS_FILE) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// A watchlist board ranks only the listed collections, so every chain it
+// tracks needs at least one id.
+function resolveWatchlist(board, boardChains, watchlists) {
+  if (!board.watchlist) return null;
+  const list = watchlists[board.watchlist];
+  if (!list) throw new Error(`Leaderboard ${board.id} references unknown watchlist: ${board.watchlist}`);
+  const ids = {};
+  for (const chain of boardChains) {
+    const chainIds = list[chain.id];
+    if (!Array.isArray(chainIds) || !chainIds.length || !chainIds.every(id => typeof id === 'string' && id)) {
+      throw new Error(`Watchlist ${board.watchlist} has no collection ids for chain ${chain.id}`);
+    }
+    ids[chain.id] = [...new Set(chainIds)];
+  }
+  return { name: board.watchlist, ids };
+}
+
+// Expands one configured board into an instance per chain it tracks, plus a
+// cross-chain instance under the `all` namespace when `combined` is set.
+// Instances on the default chain keep the un-namespaced routes and
+// directories; a board that sets `tokenStart` is also served on the bare
+// /metadata/:tokenId route, so those ranges must not overlap. A board with a
+// `watchlist` ranks only that watchlist's collections.
+function expandBoard(board, chains, watchlists, filterDefaults) {
+  if (!board.id || !/^[a-z0-9-]+$/.test(board.id)) {
+    throw new Error(`Invalid leaderboard id: ${board.id}`);
+  }
+  if (RESERVED_IDS.includes(board.id) || chains.some(chain => chain.id === board.id)) {
+    throw new Error(`Leaderboard id ${board.id} clashes with a chain or reserved namespace`);
+  }
+  if (!SORTS[board.sortBy]) {
+    throw new Error(`Leaderboard ${board.id} has unknown sortBy: ${board.sortBy}`);
+  }
+
+  const defaultChain = chains[0];
+  const boardChains = (board.chains || [defaultChain.id]).map(id => {
+    const chain = chains.find(c => c.id === id);
+    if (!chain) throw new Error(`Leaderboard ${board.id} references unknown or disabled chain: ${id}`);
+    return chain;
+  });
+
+  const watchlist = resolveWatchlist(board, boardChains, watchlists);
+  const colorWindow = parseWindow(board.colorWindow || process.env.COLOR_WINDOW || 'last');
+  const base = {
+    id: board.id,
+    title: board.title || board.id,
+    sortBy: board.sortBy,
+    size: board.size || 100,
+    watchlist,
+    filters: resolveFilters(board.filters, filterDefaults),
+    colorWindow,
+    schedule: parseSchedule(board.schedule || `${process.env.REFRESH_INTERVAL_MINUTES || 5}m`).spec,
+    theme: loadTheme(board.theme || process.env.THEME || 'spiky'),
+    chart: board.chart === false ? null : {
+      metric: board.chart?.metric || 'rank',
+      window: parseWindow(board.chart?.window || (colorWindow.duration ? colorWindow.id : '24h'))
+    }
+  };
+  if (base.chart && !['rank', 'floor'].includes(base.chart.metric)) {
+    throw new Error(`Leaderboard ${board.id} has unknown chart metric: ${base.chart.metric}`);
+  }
+  if (base.chart && !base.chart.window.duration) {
+    throw new Error(`Leaderboard ${board.id} chart window must be a duration, not "last"`);
+  }
+
+  const instances = boardChains.map(chain => {
+    const isDefault = chain === defaultChain;
+    return {
+      ...base,
+      key: `${chain.id}/${board.id}`,
+      namespace: chain.id,
+      chain,
+      chains: [chain],
+      currency: chain.currency.symbol,
+      network: chain.name,
+      rootRoute: isDefault && board.tokenStart !== undefined,
+      tokenStart: (isDefault && board.tokenStart) || 1,
+      ...resolveDirs(isDefault ? board : {}, isDefault ? board.id : path.join(chain.id, board.id))
+    };
+  });
+
+  if (board.combined) {
+    instances.push({
+      ...base,
+      key: `all/${board.id}`,
+      namespace: 'all',
+      chain: null,
+      chains: boardChains,
+      currency: 'USD',
+      network: boardChains.map(chain => chain.name).join(', '),
+      rootRoute: false,
+      tokenStart: 1,
+      ...resolveDirs({}, path.join('all', board.id))
+    });
+  }
+  return instances;
+}
+
+function resolveDirs(overrides, defaultDir) {
+  const imagesDir = path.resolve(OUTPUT_DIR, overrides.imagesDir || path.join('images', defaultDir));
+  const relativeImages = path.relative(IMAGES_DIR, imagesDir);
+  if (relativeImages.startsWith('..') || path.isAbsolute(relativeImages)) {
+    throw new Error(`Leaderboard images must live under ${IMAGES_DIR}: ${imagesDir}`);
+  }
+  return {
+    imagesDir,
+    imagesPath: relativeImages ? `/images/${relativeImages.split(path.sep).join('/')}` : '/images',
+    stateDir: path.resolve(ROOT_DIR, overrides.stateDir || path.join('data', defaultDir))
+  };
+}
+
+function loadLeaderboards(chains, file = CONFIG_FILE, watchlists = loadWatchlists(), filterDefaults = loadFilterDefaults()) {
+  const boards = JSON.parse(fs.readFileSync(file, 'utf8'))
+    .filter(board => board.enabled !== false)
+    .flatMap(board => expandBoard(board, chains, watchlists, filterDefaults));
+
+  const keys = new Set();
+  for (const board of boards) {
+    if (keys.has(board.key)) throw new Error(`Duplicate leaderboard: ${board.key}`);
+    keys.add(board.key);
+  }
+
+  const rooted = boards.filter(board => board.rootRoute).sort((a, b) => a.tokenStart - b.tokenStart);
+  for (let i = 1; i < rooted.length; i++) {
+    const previous = rooted[i - 1];
+    if (rooted[i].tokenStart < previous.tokenStart + previous.size) {
+      throw new Error(`Leaderboards ${previous.id} and ${rooted[i].id} have overlapping token ranges`);
+    }
+  }
+
+  for (const board of boards) {
+    fs.mkdirSync(board.imagesDir, { recursive: true });
+    fs.mkdirSync(board.stateDir, { recursive: true });
+  }
+  return boards;
+}
+
+function findBoard(boards, namespace, id) {
+  return boards.find(board => board.namespace === namespace && board.id === id) || null;
+}
+
+// Resolves "volume" (default chain) or "ethereum/volume" to a board instance.
+function resolveBoard(boards, ref) {
+  if (!ref) return boards.find(board => board.rootRoute) || boards[0] || null;
+  if (ref.includes('/')) return boards.find(board => board.key === ref) || null;
+  return boards.find(board => board.id === ref && board.namespace === boards[0].namespace) || null;
+}
+
+function findBoardForToken(boards, tokenId) {
+  return boards.find(board =>
+    board.rootRoute && tokenId >= board.tokenStart && tokenId < board.tokenStart + board.size
+  ) || null;
+}
+
+module.exports = { loadLeaderboards, findBoard, resolveBoard, findBoardForToken, IMAGES_DIR };
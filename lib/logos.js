@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { httpClient } = require('./http');
+const clock = require('./clock');
+const { writeFileAtomic } = require('./files');
+
+const CACHE_DIR = process.env.LOGO_CACHE_DIR || path.join(__dirname, '..', 'cache', 'logos');
+const INDEX_FILE = path.join(CACHE_DIR, 'index.json');
+const TTL = Number(process.env.LOGO_CACHE_TTL_HOURS || 24) * 60 * 60 * 1000;
+const MAX_BYTES = 5 * 1024 * 1024;
+
+// Logos are stored once per content hash in cache/logos/<sha256>; index.json
+// maps each source URL to the hash and the time it was fetched.
+let index = null;
+
+function loadIndex() {
+  if (index) return index;
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  try {
+    index = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+  } catch (e) {
+    index = {};
+  }
+  return index;
+}
+
+function saveIndex() {
+  writeFileAtomic(INDEX_FILE, JSON.stringify(index, null, 2));
+}
+
+function isImage(buffer) {
+  const head = buffer.subarray(0, 12);
+  return (
+    head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) ||
+    head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) ||
+    head.subarray(0, 4).toString('ascii') === 'GIF8' ||
+    (head.subarray(0, 4).toString('ascii') === 'RIFF' && head.subarray(8, 12).toString('ascii') === 'WEBP') ||
+    /^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(buffer.subarray(0, 256).toString('utf8'))
+  );
+}
+
+function readBlob(hash) {
+  try {
+    return fs.readFileSync(path.join(CACHE_DIR, hash));
+  } catch (e) {
+    return null;
+  }
+}
+
+async function download(url) {
+  let buffer;
+  try {
+    const response = await httpClient.request(url);
+    buffer = await response.buffer();
+  } catch (error) {
+    console.error(`Failed to download logo from ${url}:`, error.message);
+    return null;
+  }
+  if (buffer.length === 0 || buffer.length > MAX_BYTES || !isImage(buffer)) {
+    console.error(`Logo at ${url} is not a usable image`);
+    return null;
+  }
+  return buffer;
+}
+
+// Returns the logo bytes for `url`, downloading when the cached copy is
+// missing or older than LOGO_CACHE_TTL_HOURS. A stale copy is still returned
+// when the refresh fails; null means the caller should draw a placeholder.
+async function getLogo(url) {
+  if (!url) return null;
+  const entries = loadIndex();
+  const entry = entries[url];
+  const cached = entry ? readBlob(entry.hash) : null;
+  if (cached && clock.now() - entry.fetchedAt < TTL) return cached;
+
+  const buffer = await download(url);
+  if (!buffer) return cached;
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const file = path.join(CACHE_DIR, hash);
+  if (!fs.existsSync(file)) writeFileAtomic(file, buffer);
+  entries[url] = { hash, fetchedAt: clock.now() };
+  saveIndex();
+  return buffer;
+}
+
+// Drops index entries that have not been refreshed for several TTLs (no
+// board has asked for them since) and deletes blobs nothing points at.
+function pruneLogoCache() {
+  const entries = loadIndex();
+  const cutoff = clock.now() - 7 * TTL;
+  for (const [url, entry] of Object.entries(entries)) {
+    if (entry.fetchedAt < cutoff) delete entries[url];
+  }
+  saveIndex();
+
+  const referenced = new Set(Object.values(entries).map(entry => entry.hash));
+  for (const file of fs.readdirSync(CACHE_DIR)) {
+    if (/^[0-9a-f]{64}$/.test(file) && !referenced.has(file)) {
+      fs.unlinkSync(path.join(CACHE_DIR, file));
+    }
+  }
+}
+
+module.exports = { getLogo, pruneLogoCache, isImage };
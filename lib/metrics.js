@@ -0,0 +1,67 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const upstreamRequests = new client.Counter({
+  name: 'upstream_requests_total',
+  help: 'Upstream API requests by host and response status (or error code)',
+  labelNames: ['host', 'status'],
+  registers: [register]
+});
+
+const upstreamRateLimitRetries = new client.Counter({
+  name: 'upstream_rate_limit_retries_total',
+  help: 'Requests retried after a 429 response',
+  labelNames: ['host'],
+  registers: [register]
+});
+
+const upstreamLatency = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Latency of individual upstream request attempts',
+  labelNames: ['host'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const renderDuration = new client.Histogram({
+  name: 'render_duration_seconds',
+  help: 'Time to render one token image',
+  labelNames: ['board'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+const jobRuns = new client.Counter({
+  name: 'job_runs_total',
+  help: 'Scheduled job runs by outcome',
+  labelNames: ['job', 'outcome'],
+  registers: [register]
+});
+
+// Gauges of live state, set by the /metrics route (lib/routes/health.js) on each scrape.
+const snapshotAge = new client.Gauge({
+  name: 'snapshot_age_seconds',
+  help: 'Age of the last successful snapshot per leaderboard',
+  labelNames: ['board'],
+  registers: [register]
+});
+
+const collectionsServed = new client.Gauge({
+  name: 'collections_served',
+  help: 'Collections currently served per leaderboard',
+  labelNames: ['board'],
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  upstreamRequests,
+  upstreamRateLimitRetries,
+  upstreamLatency,
+  renderDuration,
+  jobRuns,
+  snapshotAge,
+  collectionsServed
+};
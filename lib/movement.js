@@ -0,0 +1,99 @@
+const MINUTE = 60 * 1000;
+const UNITS = { m: MINUTE, h: 60 * MINUTE, d: 24 * 60 * MINUTE };
+
+// `last` compares against the previous run. Any other window ("1h", "24h",
+// "7d", "30m") compares against the snapshot closest to that long ago, as
+// long as one exists within the tolerance: 1/24th of the window, but never
+// less than 10 minutes (24h -> 1h, 7d -> 7h).
+function parseWindow(id) {
+  if (id === 'last') return { id, label: 'ΔLast', duration: null, tolerance: null };
+  const match = /^(\d+)([mhd])$/.exec(id);
+  if (!match) throw new Error(`Invalid movement window: ${id}`);
+  const duration = Number(match[1]) * UNITS[match[2]];
+  return {
+    id,
+    label: `Δ${id}`,
+    duration,
+    tolerance: Math.max(duration / 24, 10 * MINUTE)
+  };
+}
+
+function parseWindows(list = process.env.MOVEMENT_WINDOWS || 'last,1h,24h,7d') {
+  return list.split(',').map(id => id.trim()).filter(Boolean).map(parseWindow);
+}
+
+function referenceSnapshot(store, board, window, now) {
+  if (!window.duration) return store.latestSnapshot(board.key);
+  return store.snapshotNear(board.key, now - window.duration, window.tolerance);
+}
+
+function movementFor(currentRank, previousRank) {
+  if (currentRank < previousRank) return 'up';
+  if (currentRank > previousRank) return 'down';
+  return 'same';
+}
+
+// Returns, per collection id, a map of window id -> { previousRank, delta, movement }.
+// delta is positive when the collection climbed. A collection absent from the
+// reference snapshot counts as entering from just below the board. Windows
+// with no usable reference snapshot are left out.
+function computeMovements(store, board, collections, windows, now) {
+  const movements = new Map(collections.map(collection => [collection.id, {}]));
+
+  for (const window of windows) {
+    const snapshot = referenceSnapshot(store, board, window, now);
+    if (!snapshot) continue;
+    const previousRanks = new Map(snapshot.entries.map(entry => [entry.collectionId, entry.rank]));
+
+    collections.forEach((collection, index) => {
+      const currentRank = index + 1;
+      const known = previousRanks.has(collection.id);
+      const previousRank = known ? previousRanks.get(collection.id) : board.size + 1;
+      movements.get(collection.id)[window.id] = {
+        previousRank: known ? previousRank : null,
+        delta: known ? previousRank - currentRank : null,
+        movement: movementFor(currentRank, previousRank)
+      };
+    });
+  }
+  return movements;
+}
+
+function formatDelta(result) {
+  if (result.delta === null) return 'New';
+  if (result.delta > 0) return `+${result.delta}`;
+  if (result.delta < 0) return `−${Math.abs(result.delta)}`;
+  return '0';
+}
+
+function movementTraits(movements, windows) {
+  return windows
+    .filter(window => movements && movements[window.id])
+    .map(window => ({ trait_type: window.label, value: formatDelta(movements[window.id]) }));
+}
+
+// Compares two snapshots of the same board. delta is positive for climbers.
+function compareSnapshots(current, reference) {
+  const previousEntries = new Map(reference.entries.map(entry => [entry.collectionId, entry]));
+  const currentIds = new Set(current.entries.map(entry => entry.collectionId));
+
+  const moved = [];
+  const newEntries = [];
+  for (const entry of current.entries) {
+    const previous = previousEntries.get(entry.collectionId);
+    if (previous) {
+      moved.push({ ...entry, previousRank: previous.rank, delta: previous.rank - entry.rank });
+    } else {
+      newEntries.push(entry);
+    }
+  }
+
+  return {
+    gainers: moved.filter(entry => entry.delta > 0).sort((a, b) => b.delta - a.delta),
+    losers: moved.filter(entry => entry.delta < 0).sort((a, b) => a.delta - b.delta),
+    newEntries,
+    dropouts: reference.entries.filter(entry => !currentIds.has(entry.collectionId))
+  };
+}
+
+module.exports = { parseWindow, parseWindows, computeMovements, compareSnapshots, movementTraits, formatDelta };
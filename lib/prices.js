@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { httpClient } = require('./http');
+const clock = require('./clock');
+
+const PRICES_FILE = process.env.PRICES_FILE || path.join(__dirname, '..', 'prices.json');
+const CACHE_TTL = Number(process.env.PRICE_CACHE_SECONDS || 60) * 1000;
+const COINGECKO_URL = process.env.COINGECKO_URL || 'https://api.coingecko.com/api/v3';
+
+function displayCurrencies(list = process.env.DISPLAY_CURRENCIES || 'USD') {
+  return list.split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+}
+
+// Live rates from CoinGecko, for chains that set `coingeckoId`.
+function createCoinGeckoSource({ chains, apiKey = process.env.COINGECKO_API_KEY }) {
+  async function fetchRates(base, quotes) {
+    const chain = chains.find(c => c.currency.symbol === base && c.coingeckoId);
+    if (!chain) return {};
+    const url = `${COINGECKO_URL}/simple/price?ids=${chain.coingeckoId}&vs_currencies=${quotes.join(',').toLowerCase()}`;
+    const response = await httpClient.request(url, {
+      headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : {}
+    });
+    const prices = (await response.json())[chain.coingeckoId] || {};
+    return Object.fromEntries(quotes
+      .filter(quote => typeof prices[quote.toLowerCase()] === 'number')
+      .map(quote => [quote, prices[quote.toLowerCase()]]));
+  }
+  return { name: 'coingecko', fetchRates };
+}
+
+// Offline stand-in: prices.json maps { base: { quote: rate } } and is re-read
+// when it changes.
+function createFileSource({ file = PRICES_FILE }) {
+  if (!fs.existsSync(file)) return null;
+  let loaded = { mtimeMs: 0, rates: {} };
+  async function fetchRates(base, quotes) {
+    const { mtimeMs } = fs.statSync(file);
+    if (mtimeMs !== loaded.mtimeMs) loaded = { mtimeMs, rates: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    const rates = loaded.rates[base] || {};
+    return Object.fromEntries(quotes.filter(quote => typeof rates[quote] === 'number').map(quote => [quote, rates[quote]]));
+  }
+  return { name: 'file', fetchRates };
+}
+
+// Last resort: the `usdRate` configured for each chain in chains.json.
+function createStaticSource({ chains }) {
+  async function fetchRates(base, quotes) {
+    const chain = chains.find(c => c.currency.symbol === base && c.usdRate);
+    return chain && quotes.includes('USD') ? { USD: chain.usdRate } : {};
+  }
+  return { name: 'static', fetchRates };
+}
+
+const SOURCES = {
+  coingecko: createCoinGeckoSource,
+  file: createFileSource,
+  static: createStaticSource
+};
+
+// A source is { name, fetchRates(base, quotes) } resolving to { quote: rate }
+// for the quotes it knows, or throwing. getRates() asks each source in
+// PRICE_SOURCES order for whatever quotes are still missing, and caches the
+// result for PRICE_CACHE_SECONDS.
+function createPriceFeed({ chains, names = (process.env.PRICE_SOURCES || 'coingecko,file,static').split(','), quotes = displayCurrencies() }) {
+  const sources = names
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      const factory = SOURCES[name];
+      if (!factory) throw new Error(`Unknown price source: ${name}`);
+      return factory({ chains });
+    })
+    .filter(Boolean);
+  const cache = new Map();
+
+  async function getRates(base) {
+    const cached = cache.get(base);
+    if (cached && clock.now() - cached.fetchedAt < CACHE_TTL) return cached.rates;
+
+    const rates = {};
+    for (const quote of quotes) {
+      if (quote === base) rates[quote] = 1;
+    }
+    for (const source of sources) {
+      const missing = quotes.filter(quote => rates[quote] === undefined);
+      if (!missing.length) break;
+      try {
+        Object.assign(rates, await source.fetchRates(base, missing));
+      } catch (error) {
+        console.error(`Price source ${source.name} failed for ${base}:`, error.message);
+      }
+    }
+    const missing = quotes.filter(quote => rates[quote] === undefined);
+    if (missing.length) console.error(`No ${base} price in ${missing.join(', ')} from any source`);
+
+    cache.set(base, { rates, fetchedAt: clock.now() });
+    return rates;
+  }
+
+  return { quotes, getRates };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Floor, 24h volume and the change in 24h volume since `reference`, in each
+// currency of `rates`. Each snapshot's volume is converted at the rate stored
+// with it, so the change reflects the fiat value traded rather than price
+// moves in the native currency.
+function fiatValues(collection, rates, reference) {
+  const values = {};
+  for (const [quote, rate] of Object.entries(rates)) {
+    const volume = collection.volume['1day'] * rate;
+    const previousVolume = reference?.entry?.volume['1day'];
+    const previousRate = reference?.rates?.[quote];
+    values[quote] = {
+      floor: round(collection.floor * rate),
+      volume: round(volume),
+      volumeChange: previousVolume != null && previousRate ? round(volume - previousVolume * previousRate) : null
+    };
+  }
+  return values;
+}
+
+// Flattens fiat values into theme fields: floorUsd, volumeUsd, volumeChangeUsd.
+function fiatFields(fiat) {
+  const fields = {};
+  for (const [quote, values] of Object.entries(fiat || {})) {
+    const suffix = quote[0] + quote.slice(1).toLowerCase();
+    fields[`floor${suffix}`] = values.floor;
+    fields[`volume${suffix}`] = values.volume;
+    fields[`volumeChange${suffix}`] = values.volumeChange;
+  }
+  return fields;
+}
+
+function fiatTraits(fiat) {
+  return Object.entries(fiat || {}).flatMap(([quote, values]) => [
+    { trait_type: `Floor Price (${quote})`, value: values.floor },
+    { trait_type: `24h Volume (${quote})`, value: values.volume },
+    ...(values.volumeChange !== null ? [{ trait_type: `24h Volume Change (${quote})`, value: values.volumeChange }] : [])
+  ]);
+}
+
+module.exports = { createPriceFeed, displayCurrencies, fiatValues, fiatFields, fiatTraits };
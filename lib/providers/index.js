@@ -0,0 +1,114 @@
+const { createReservoirProvider } = require('./reservoir');
+const { createOpenSeaProvider } = require('./opensea');
+
+// Sort keys a leaderboard can rank by, and how to read each from a
+// normalized collection record.
+const SORTS = {
+  volume1d: collection => collection.volume['1day'],
+  volume7d: collection => collection.volume['7day'],
+  volume30d: collection => collection.volume['30day'],
+  volumeAllTime: collection => collection.volume.allTime,
+  floor: collection => collection.floor,
+  sales1d: collection => collection.sales['1day']
+};
+
+const MAX_OVERFETCH = Number(process.env.FILTER_MAX_OVERFETCH || 5);
+
+const keepAll = collections => collections;
+
+const PROVIDERS = {
+  reservoir: createReservoirProvider,
+  opensea: createOpenSeaProvider
+};
+
+// Builds the failover chain for one blockchain. Providers that have no
+// endpoint configured for the chain are skipped.
+function createProviders(chain, names = (process.env.MARKET_PROVIDERS || 'reservoir,opensea').split(',')) {
+  return names
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      const factory = PROVIDERS[name];
+      if (!factory) throw new Error(`Unknown market-data provider: ${name}`);
+      return factory({ chain });
+    })
+    .filter(Boolean);
+}
+
+// Pages through one provider until `target` collections pass `screen`,
+// giving up after MAX_OVERFETCH times the target has been fetched.
+// Returns { collections, complete } where complete is false if a batch failed.
+async function collectFromProvider(provider, target, sortBy, screen) {
+  let collections = [];
+  let fetched = 0;
+  let continuation = null;
+  const limit = Math.min(provider.maxPageSize, target);
+
+  while (collections.length < target) {
+    let page;
+    try {
+      page = await provider.fetchPage({ limit, continuation, sortBy });
+    } catch (error) {
+      console.error(`Provider ${provider.name} failed (${error.code || 'error'}):`, error.message);
+      page = null;
+    }
+    if (!page) {
+      console.error(`Failed to fetch collections batch from ${provider.name}`);
+      return { collections, complete: false };
+    }
+    if (page.collections.length === 0) {
+      console.error(`No collections returned in this batch from ${provider.name}`);
+      return { collections, complete: collections.length > 0 && !continuation };
+    }
+    fetched += page.collections.length;
+    collections = collections.concat(screen(page.collections.filter(c => c && c.id)));
+    continuation = page.continuation;
+    if (!continuation || collections.length >= target) break;
+    if (fetched >= target * MAX_OVERFETCH) {
+      console.error(`Only ${collections.length} of ${fetched} collections from ${provider.name} passed the filters`);
+      break;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 500)); // Small delay to avoid rate limits
+  }
+
+  // Providers may not support every sort natively, so always rank locally.
+  const value = SORTS[sortBy];
+  collections.sort((a, b) => value(b) - value(a));
+  return { collections: collections.slice(0, target), complete: true };
+}
+
+// Tries each provider in order, failing over when one errors or comes back
+// empty. If every provider fails part-way, the largest partial result wins.
+async function fetchTopCollections(providers, { target = 100, sortBy = 'volume1d', screen = keepAll } = {}) {
+  let best = [];
+  for (const provider of providers) {
+    const { collections, complete } = await collectFromProvider(provider, target, sortBy, screen);
+    if (complete && collections.length > 0) return collections;
+    console.error(`Provider ${provider.name} failed, trying next provider`);
+    if (collections.length > best.length) best = collections;
+  }
+  return best;
+}
+
+// Looks up exactly the given collection ids and ranks them among
+// themselves, failing over between providers that support per-ID queries.
+async function fetchWatchlistCollections(providers, { ids, sortBy = 'volume1d', screen = keepAll }) {
+  const value = SORTS[sortBy];
+  for (const provider of providers.filter(p => p.fetchByIds)) {
+    let collections;
+    try {
+      collections = await provider.fetchByIds(ids);
+    } catch (error) {
+      console.error(`Provider ${provider.name} failed (${error.code || 'error'}):`, error.message);
+      continue;
+    }
+    if (collections.length > 0) {
+      return screen(collections).sort((a, b) => value(b) - value(a));
+    }
+    console.error(`Provider ${provider.name} found none of the watchlisted collections, trying next provider`);
+  }
+  return [];
+}
+
+module.exports = { createProviders, fetchTopCollections, fetchWatchlistCollections, SORTS };
@@ -0,0 +1,102 @@
+const { httpClient } = require('../http');
+const { mapWithConcurrency } = require('../files');
+
+const BASE_URL = 'https://api.opensea.io/api/v2';
+const LOOKUP_CONCURRENCY = 4;
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function interval(stats, name) {
+  return (stats?.intervals || []).find(entry => entry.interval === name) || {};
+}
+
+// OpenSea keys collections by slug; use the contract address as the id so
+// rank history lines up with Reservoir when we fail over between them.
+function normalize(collection, stats, chain) {
+  const contract = (collection.contracts || []).find(c => c.chain === chain.openseaChain) || collection.contracts?.[0];
+  return {
+    id: (contract?.address || collection.collection).toLowerCase(),
+    chain: chain.id,
+    name: collection.name || 'Unknown',
+    image: collection.image_url || null,
+    floor: toNumber(stats?.total?.floor_price),
+    floorUsd: 0,
+    volume: {
+      '1day': toNumber(interval(stats, 'one_day').volume),
+      '7day': toNumber(interval(stats, 'seven_day').volume),
+      '30day': toNumber(interval(stats, 'thirty_day').volume),
+      allTime: toNumber(stats?.total?.volume)
+    },
+    sales: {
+      '1day': toNumber(interval(stats, 'one_day').sales),
+      '7day': toNumber(interval(stats, 'seven_day').sales),
+      '30day': toNumber(interval(stats, 'thirty_day').sales),
+      allTime: toNumber(stats?.total?.sales)
+    },
+    owners: toNumber(stats?.total?.num_owners),
+    source: 'opensea'
+  };
+}
+
+function createOpenSeaProvider({ chain, apiKey = process.env.OPENSEA_API_KEY }) {
+  if (!chain.openseaChain) return null;
+  const headers = { 'x-api-key': apiKey, accept: 'application/json' };
+
+  // A collection without stats is still listed, just with zeroed numbers.
+  async function fetchStats(slug) {
+    try {
+      const response = await httpClient.request(`${BASE_URL}/collections/${slug}/stats`, { headers });
+      return await response.json();
+    } catch (error) {
+      if (error.code === 'circuit_open' || error.code === 'aborted') throw error;
+      console.error(`Failed to fetch OpenSea stats for ${slug}:`, error.message);
+      return null;
+    }
+  }
+
+  // The listing endpoint only orders by 7-day volume among the sorts we use,
+  // so every board pages that way and the caller re-sorts the merged result.
+  async function fetchPage({ limit, continuation }) {
+    let url = `${BASE_URL}/collections?chain=${chain.openseaChain}&order_by=seven_day_volume&limit=${limit}`;
+    if (continuation) url += `&next=${continuation}`;
+
+    const response = await httpClient.request(url, { headers });
+
+    const data = await response.json();
+    const collections = [];
+    for (const collection of data.collections || []) {
+      const stats = await fetchStats(collection.collection);
+      collections.push(normalize(collection, stats, chain));
+    }
+    return { collections, continuation: data.next || null };
+  }
+
+  // Ids are contract addresses, so each lookup resolves the contract to its
+  // collection slug first. Unknown contracts are left out.
+  async function fetchByIds(ids) {
+    const results = await mapWithConcurrency(ids, LOOKUP_CONCURRENCY, async id => {
+      let contract;
+      try {
+        const response = await httpClient.request(`${BASE_URL}/chain/${chain.openseaChain}/contract/${id}`, { headers });
+        contract = await response.json();
+      } catch (error) {
+        if (error.code !== 'http_error' || error.status >= 500) throw error;
+      }
+      if (!contract?.collection) {
+        console.error(`OpenSea has no collection for contract ${id} on ${chain.id}`);
+        return null;
+      }
+      const response = await httpClient.request(`${BASE_URL}/collections/${contract.collection}`, { headers });
+      const collection = await response.json();
+      return normalize(collection, await fetchStats(contract.collection), chain);
+    });
+    return results.filter(Boolean);
+  }
+
+  return { name: 'opensea', maxPageSize: 50, fetchPage, fetchByIds };
+}
+
+module.exports = { createOpenSeaProvider, normalize };
@@ -0,0 +1,97 @@
+const { httpClient } = require('../http');
+const { mapWithConcurrency } = require('../files');
+
+const LOOKUP_CONCURRENCY = 4;
+
+// Reservoir has no sales-count sort; those boards page by 1-day volume and
+// are re-ranked locally.
+const SORT_PARAMS = {
+  volume1d: 'sortBy=1DayVolume',
+  volume7d: 'sortBy=7DayVolume',
+  volume30d: 'sortBy=30DayVolume',
+  volumeAllTime: 'sortBy=allTimeVolume',
+  floor: 'sortBy=floorAskPrice&sortDirection=desc'
+};
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+// Prefer Reservoir's decimal amount; fall back to scaling the raw amount by
+// the chain's native currency decimals when only that is present.
+function floorPrice(amount, decimals) {
+  if (amount?.decimal !== undefined) return toNumber(amount.decimal);
+  if (amount?.raw !== undefined) return toNumber(amount.raw) / Math.pow(10, decimals);
+  return 0;
+}
+
+function normalize(collection, chain) {
+  return {
+    id: collection.id,
+    chain: chain.id,
+    name: collection.name || 'Unknown',
+    image: collection.image || null,
+    floor: floorPrice(collection.floorAsk?.price?.amount, chain.currency.decimals),
+    floorUsd: toNumber(collection.floorAsk?.price?.amount?.usd),
+    volume: {
+      '1day': toNumber(collection.volume?.['1day']),
+      '7day': toNumber(collection.volume?.['7day']),
+      '30day': toNumber(collection.volume?.['30day']),
+      allTime: toNumber(collection.volume?.allTime)
+    },
+    sales: {
+      '1day': toNumber(collection.salesCount?.['1day']),
+      '7day': toNumber(collection.salesCount?.['7day']),
+      '30day': toNumber(collection.salesCount?.['30day']),
+      allTime: toNumber(collection.salesCount?.allTime)
+    },
+    owners: toNumber(collection.ownerCount),
+    source: 'reservoir'
+  };
+}
+
+function createReservoirProvider({ chain, apiKey = process.env.RESERVOIR_API_KEY }) {
+  if (!chain.reservoirUrl) return null;
+
+  async function fetchPage({ limit, continuation, sortBy = 'volume1d' }) {
+    const sort = SORT_PARAMS[sortBy] || SORT_PARAMS.volume1d;
+    let url = `${chain.reservoirUrl}/collections/v7?${sort}&limit=${limit}`;
+    if (continuation) url += `&continuation=${continuation}`;
+
+    const response = await httpClient.request(url, {
+      headers: { 'x-api-key': apiKey }
+    });
+
+    const data = await response.json();
+    return {
+      collections: (data.collections || []).map(collection => normalize(collection, chain)),
+      continuation: data.continuation || null
+    };
+  }
+
+  // One per-ID query per collection; ids Reservoir rejects or does not know
+  // are left out.
+  async function fetchByIds(ids) {
+    const results = await mapWithConcurrency(ids, LOOKUP_CONCURRENCY, async id => {
+      const url = `${chain.reservoirUrl}/collections/v7?id=${encodeURIComponent(id)}`;
+      let data = {};
+      try {
+        const response = await httpClient.request(url, {
+          headers: { 'x-api-key': apiKey }
+        });
+        data = await response.json();
+      } catch (error) {
+        if (error.code !== 'http_error' || error.status >= 500) throw error;
+      }
+      const collection = (data.collections || [])[0];
+      if (!collection) console.error(`Reservoir has no collection ${id} on ${chain.id}`);
+      return collection ? normalize(collection, chain) : null;
+    });
+    return results.filter(Boolean);
+  }
+
+  return { name: 'reservoir', maxPageSize: 20, fetchPage, fetchByIds };
+}
+
+module.exports = { createReservoirProvider, normalize };
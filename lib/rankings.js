@@ -0,0 +1,471 @@
+const crypto = require('crypto');
+const { fetchTopCollections, fetchWatchlistCollections } = require('./providers');
+const { fetchCrossChainCollections } = require('./chains');
+const { renderToken } = require('./render');
+const { getLogo } = require('./logos');
+const clock = require('./clock');
+const { mapWithConcurrency } = require('./files');
+const { parseWindow, parseWindows, computeMovements } = require('./movement');
+const { parseSchedule, dueTime, nextDueTime } = require('./scheduler');
+const { resolveBinding, BOUND_IMAGES_PATH } = require('./bindings');
+const { storage, imagePrefix, imageKey } = require('./storage');
+const { createScreen, saveScreening } = require('./filters');
+const { fiatValues, fiatFields } = require('./prices');
+const metrics = require('./metrics');
+const { IMMUTABLE } = require('./httpCache');
+
+const MOVEMENT_WINDOWS = parseWindows();
+const RENDER_CONCURRENCY = Math.max(1, Number(process.env.RENDER_CONCURRENCY || 4));
+const MAX_STALENESS = Number(process.env.MAX_STALENESS_MINUTES || 360) * 60 * 1000;
+const FIAT_CHANGE_WINDOW = parseWindow('24h');
+const RENDER_GC_GRACE = Number(process.env.RENDER_GC_GRACE_HOURS || 24) * 60 * 60 * 1000;
+const CHART_POINTS = 24;
+
+// The configured windows, plus the board's color window if it is not one of them.
+function movementWindows(board) {
+  if (MOVEMENT_WINDOWS.some(window => window.id === board.colorWindow.id)) return MOVEMENT_WINDOWS;
+  return [...MOVEMENT_WINDOWS, board.colorWindow];
+}
+
+// Last good ranking per leaderboard key: { takenAt, staleSince, collections },
+// where each collection carries its rank, token id, color and per-window
+// movements. It is persisted so a restart or a failed refresh keeps serving it.
+const latestCollections = new Map();
+
+function getLatestCollections(board) {
+  return latestCollections.get(board.key)?.collections || [];
+}
+
+function saveLatest(board, store, latest) {
+  latestCollections.set(board.key, latest);
+  store.setMeta(`last_good:${board.key}`, JSON.stringify(latest));
+}
+
+// A ranking reloaded after a restart went stale when the refresh after it
+// was due, if that time has passed.
+function restored(board, latest, now = clock.now()) {
+  if (latest.staleSince) return latest;
+  const due = dueTime(parseSchedule(board.schedule), latest.takenAt);
+  return due < now ? { ...latest, staleSince: due } : latest;
+}
+
+function restoreLatest(boards, store) {
+  for (const board of boards) {
+    const saved = store.getMeta(`last_good:${board.key}`);
+    if (!saved) continue;
+    try {
+      latestCollections.set(board.key, restored(board, JSON.parse(saved)));
+    } catch (e) {
+      console.error(`Ignoring unreadable last good snapshot for ${board.key}`);
+    }
+  }
+}
+
+const BINDINGS_KEY = 'state/bindings.json';
+
+function stateKey(board) {
+  return `state/${board.key}.json`;
+}
+
+// Copies the board's last good ranking, and the snapshots its movement
+// windows compare against, to storage. With a shared, durable driver a
+// fresh instance picks them up in restoreState() instead of starting over
+// with every collection counted as a new entry.
+async function saveState(board, store, latest, now) {
+  const snapshots = new Map();
+  const add = snapshot => snapshot && snapshots.set(snapshot.id, snapshot);
+  add(store.latestSnapshot(board.key));
+  for (const window of [...movementWindows(board), FIAT_CHANGE_WINDOW]) {
+    if (window.duration) add(store.snapshotNear(board.key, now - window.duration, window.tolerance));
+  }
+  const state = {
+    savedAt: now,
+    latest,
+    snapshots: [...snapshots.values()]
+      .sort((a, b) => a.takenAt - b.takenAt)
+      .map(({ takenAt, rates, entries }) => ({ takenAt, rates, entries }))
+  };
+  try {
+    await storage.put(stateKey(board), JSON.stringify(state), { contentType: 'application/json' });
+  } catch (error) {
+    console.error(`Failed to save ranking state for ${board.key}:`, error.message);
+  }
+}
+
+// Copies the binding registry to storage; called after every change to it.
+async function saveBindings(store) {
+  const state = { savedAt: clock.now(), bindings: store.bindings() };
+  try {
+    await storage.put(BINDINGS_KEY, JSON.stringify(state), { contentType: 'application/json' });
+  } catch (error) {
+    console.error('Failed to save token bindings:', error.message);
+  }
+}
+
+async function restoreBindings(store) {
+  if (store.bindings().length) return;
+  try {
+    const saved = await storage.get(BINDINGS_KEY);
+    if (!saved) return;
+    const { bindings } = JSON.parse(saved);
+    for (const binding of bindings) {
+      store.bindToken(binding);
+      if (binding.image) store.setBindingImage(binding.tokenId, binding.image);
+    }
+    if (bindings.length) console.log(`Restored ${bindings.length} token bindings from ${storage.name} storage`);
+  } catch (error) {
+    console.error('Failed to restore token bindings:', error.message);
+  }
+}
+
+// For boards with no snapshots in the local store, and the binding registry
+// when it is empty, e.g. after a redeploy on an ephemeral disk.
+async function restoreState(boards, store) {
+  await restoreBindings(store);
+  for (const board of boards) {
+    if (store.latestSnapshot(board.key)) continue;
+    try {
+      const saved = await storage.get(stateKey(board));
+      if (!saved) continue;
+      const state = JSON.parse(saved);
+      for (const snapshot of state.snapshots) {
+        store.recordSnapshot(board.key, snapshot.takenAt, snapshot.entries, snapshot.rates);
+      }
+      if (state.latest && !latestCollections.has(board.key)) saveLatest(board, store, restored(board, state.latest));
+      console.log(`Restored ${state.snapshots.length} snapshots for ${board.key} from ${storage.name} storage`);
+    } catch (error) {
+      console.error(`Failed to restore ranking state for ${board.key}:`, error.message);
+    }
+  }
+}
+
+// Flags the last good ranking as stale from the first failed refresh on.
+function markStale(board, store) {
+  const latest = latestCollections.get(board.key);
+  if (!latest || latest.staleSince) return;
+  saveLatest(board, store, { ...latest, staleSince: clock.now() });
+}
+
+// 'live' after a successful refresh, 'stale' once a refresh has failed,
+// 'expired' when the data is older than MAX_STALENESS_MINUTES, 'none' if
+// there has never been a good refresh.
+function getFreshness(board, now = clock.now()) {
+  const latest = latestCollections.get(board.key);
+  if (!latest || !latest.collections.length) return { state: 'none' };
+  if (now - latest.takenAt > MAX_STALENESS) {
+    return { state: 'expired', takenAt: latest.takenAt, staleSince: latest.staleSince || latest.takenAt };
+  }
+  if (latest.staleSince) return { state: 'stale', takenAt: latest.takenAt, staleSince: latest.staleSince };
+  return { state: 'live', takenAt: latest.takenAt };
+}
+
+// Seconds until the board's next refresh is due after its latest snapshot:
+// how long responses built from that snapshot may be cached.
+function secondsUntilRefresh(board, now = clock.now()) {
+  const latest = latestCollections.get(board.key);
+  const due = nextDueTime(parseSchedule(board.schedule), latest ? latest.takenAt : now, now);
+  return Math.ceil((due - now) / 1000);
+}
+
+// The same for an image key: a bound token's image follows the board it is
+// bound to, and an image no board owns gets the soonest refresh of any.
+function imageMaxAge(leaderboards, store, key, now = clock.now()) {
+  const bound = key.startsWith(imagePrefix(BOUND_IMAGES_PATH)) && /token(\d+)\.png$/.exec(key);
+  const binding = bound && store.binding(Number(bound[1]));
+  const board = binding
+    ? leaderboards.find(b => b.key === binding.board)
+    : leaderboards
+      .filter(b => key.startsWith(imagePrefix(b.imagesPath)))
+      .sort((a, b) => b.imagesPath.length - a.imagesPath.length)[0];
+  if (board) return secondsUntilRefresh(board, now);
+  return Math.min(...leaderboards.map(b => secondsUntilRefresh(b, now)));
+}
+
+function fetchBoardCollections(board, providersByChain, screen, priceFeed) {
+  const options = { target: board.size, sortBy: board.sortBy, screen };
+  if (!board.chain) {
+    return fetchCrossChainCollections(board.chains, providersByChain, { ...options, watchlist: board.watchlist, priceFeed });
+  }
+  const providers = providersByChain[board.chain.id];
+  if (board.watchlist) {
+    return fetchWatchlistCollections(providers, { ...options, ids: board.watchlist.ids[board.chain.id] });
+  }
+  return fetchTopCollections(providers, options);
+}
+
+// Stored values of the board's chart metric for one collection, oldest
+// first, downsampled to the last value in each of CHART_POINTS fixed buckets
+// spanning the chart window. Buckets are aligned to the clock, so the series
+// (and with it the render fingerprint) only changes when a plotted value
+// does or a new bucket starts. `latest` is a value about to be recorded.
+function chartHistory(store, board, collectionId, now, latest = null) {
+  if (!board.chart) return null;
+  const { metric, window } = board.chart;
+  const bucket = Math.ceil(window.duration / CHART_POINTS);
+  const from = (Math.floor(now / bucket) - CHART_POINTS + 1) * bucket;
+  const points = store.collectionHistory(board.key, collectionId, from, now)
+    .map(point => ({ takenAt: point.takenAt, value: point[metric] }));
+  if (latest !== null) points.push({ takenAt: now, value: latest });
+
+  const buckets = new Map();
+  for (const { takenAt, value } of points) {
+    if (value !== null && value !== undefined) buckets.set(Math.floor(takenAt / bucket), value);
+  }
+  return { metric, values: [...buckets.values()] };
+}
+
+// The chart history, ending with the value about to be recorded.
+function chartSeries(store, board, collection, currentRank, now) {
+  const metric = board.chart?.metric;
+  return chartHistory(store, board, collection.id, now, metric === 'rank' ? currentRank : collection.floor);
+}
+
+function fingerprint(theme, data, logo) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({
+      theme: [theme.name, theme.version, theme.hash],
+      data,
+      logo: logo ? crypto.createHash('sha256').update(logo).digest('hex') : null
+    }))
+    .digest('hex');
+}
+
+// Keys already in storage under `imagesPath`; if listing fails every token
+// counts as missing and is redrawn.
+async function storedImages(imagesPath) {
+  try {
+    return new Set((await storage.list(imagePrefix(imagesPath))).map(object => object.key));
+  } catch (error) {
+    console.error(`Failed to list stored images under ${imagesPath}:`, error.message);
+    return new Set();
+  }
+}
+
+// Redraws only tokens whose render inputs changed since their last render
+// (every token with `force`), RENDER_CONCURRENCY at a time. `target` is a
+// board, or any { key, imagesPath } that owns a token ID space.
+async function renderTokens(target, jobs, store, renderedAt, { force = false } = {}) {
+  const previous = store.renderFingerprints(target.key);
+  const stored = force ? null : await storedImages(target.imagesPath);
+  let rendered = 0;
+
+  await mapWithConcurrency(jobs, RENDER_CONCURRENCY, async ({ tokenId, theme, image, data }) => {
+    try {
+      const logo = await getLogo(image);
+      const key = imageKey(target.imagesPath, tokenId);
+      const print = fingerprint(theme, data, logo);
+      if (!force && previous.get(tokenId) === print && stored.has(key)) return;
+
+      const endTimer = metrics.renderDuration.startTimer({ board: target.key });
+      const imageBuffer = await renderToken(theme, { ...data, logo });
+      endTimer();
+      if (!imageBuffer) return;
+      // Clients only fetch it under URLs versioned with its fingerprint.
+      await storage.put(key, imageBuffer, { contentType: 'image/png', cacheControl: IMMUTABLE });
+      store.setRenderFingerprint(target.key, tokenId, print, renderedAt);
+      rendered++;
+    } catch (error) {
+      console.error(`Failed to render token ${tokenId} for ${target.key}:`, error);
+    }
+  });
+
+  console.log(`Rendered ${rendered} of ${jobs.length} tokens for ${target.key}`);
+  return rendered;
+}
+
+// Render inputs for a rank-slot token from a served collection.
+function slotJob(board, collection, chart) {
+  return {
+    tokenId: collection.tokenId,
+    theme: board.theme,
+    image: collection.image,
+    data: {
+      rank: collection.rank,
+      rankLabel: String(collection.rank),
+      state: 'ranked',
+      name: collection.name,
+      floor: collection.floor,
+      volume: collection.volume['1day'],
+      color: collection.color,
+      movement: collection.movements?.[board.colorWindow.id]?.movement || 'same',
+      currency: board.currency,
+      board: board.title,
+      chain: collection.chain,
+      chart,
+      ...fiatFields(collection.fiat)
+    }
+  };
+}
+
+// Redraws rank-slot tokens from the board's last good ranking without
+// fetching anything, optionally with another theme. `tokenIds` limits it to
+// those tokens. Returns how many tokens were rendered.
+async function renderLatest(board, store, { tokenIds = null, theme = board.theme, force = false } = {}) {
+  const renderedAt = clock.now();
+  const jobs = getLatestCollections(board)
+    .filter(collection => !tokenIds || tokenIds.includes(collection.tokenId))
+    .map(collection => ({
+      ...slotJob(board, collection, chartHistory(store, board, collection.id, renderedAt)),
+      theme
+    }));
+  return renderTokens(board, jobs, store, renderedAt, { force });
+}
+
+// Redraws the tokens bound to collections on this board from its last good
+// ranking; collections no longer on it are drawn in the out-of-top state.
+async function renderBindings(board, store, renderedAt) {
+  const bindings = store.bindings(board.key);
+  const collections = getLatestCollections(board);
+  if (!bindings.length || !collections.length) return;
+
+  let imagesChanged = false;
+  const jobs = bindings.map(binding => {
+    const view = resolveBinding(board, binding, collections, store);
+    const { collection } = view;
+    if (view.state === 'ranked' && collection.image && collection.image !== binding.image) {
+      store.setBindingImage(binding.tokenId, collection.image);
+      imagesChanged = true;
+    }
+    return {
+      tokenId: binding.tokenId,
+      theme: board.theme,
+      image: collection.image,
+      data: {
+        rank: view.rank,
+        rankLabel: view.rankLabel,
+        state: view.state,
+        name: collection.name,
+        floor: collection.floor,
+        volume: collection.volume['1day'] ?? null,
+        color: view.color,
+        movement: view.movement,
+        currency: board.currency,
+        board: board.title,
+        chain: collection.chain,
+        chart: chartHistory(store, board, binding.collectionId, renderedAt),
+        ...fiatFields(collection.fiat)
+      }
+    };
+  });
+
+  if (imagesChanged) await saveBindings(store);
+  await renderTokens({ key: 'bound', imagesPath: BOUND_IMAGES_PATH }, jobs, store, renderedAt);
+}
+
+// Deletes rendered images in each board's directory (and images/bound)
+// that no token maps to any more, because the board shrank or the token was
+// unbound, once they are RENDER_GC_GRACE_HOURS old. Directories of boards
+// no longer configured are left alone, and so is images/bound while the
+// registry is empty: that more likely means it was lost than emptied.
+async function pruneStaleRenders(boards, store, now = clock.now()) {
+  const bound = store.bindings().map(binding => binding.tokenId);
+  const targets = [
+    ...boards.map(board => ({
+      imagesPath: board.imagesPath,
+      tokenIds: Array.from({ length: board.size }, (_, i) => board.tokenStart + i)
+    })),
+    ...(bound.length ? [{ imagesPath: BOUND_IMAGES_PATH, tokenIds: bound }] : [])
+  ];
+
+  let deleted = 0;
+  for (const { imagesPath, tokenIds } of targets) {
+    const prefix = imagePrefix(imagesPath);
+    const live = new Set(tokenIds.map(tokenId => imageKey(imagesPath, tokenId)));
+    for (const object of await storage.list(prefix)) {
+      if (!/^token\d+\.png$/.test(object.key.slice(prefix.length)) || live.has(object.key)) continue;
+      if (now - object.lastModified < RENDER_GC_GRACE) continue;
+      await storage.delete(object.key);
+      deleted++;
+    }
+  }
+  if (deleted) console.log(`Deleted ${deleted} stale rendered images`);
+  return deleted;
+}
+
+async function updateLeaderboard(board, { providersByChain, store, priceFeed }) {
+  const screening = createScreen(board.filters, board.key);
+  const collections = await fetchBoardCollections(board, providersByChain, screening.screen, priceFeed);
+  if (!collections || collections.length === 0) {
+    console.error(`No collections fetched for leaderboard ${board.key}, serving last good data`);
+    markStale(board, store);
+    return { ok: false, collections: 0 };
+  }
+
+  const takenAt = clock.now();
+  const ranked = collections.slice(0, board.size);
+  const windows = movementWindows(board);
+  const movements = computeMovements(store, board, ranked, windows, takenAt);
+
+  const previous = store.latestSnapshot(board.key);
+  if (!previous) console.log(`No previous snapshot found for ${board.key}`);
+  const previousColors = new Map((previous ? previous.entries : []).map(entry => [entry.collectionId, entry.color]));
+
+  const rates = priceFeed ? await priceFeed.getRates(board.currency) : {};
+  const dayAgo = store.snapshotNear(board.key, takenAt - FIAT_CHANGE_WINDOW.duration, FIAT_CHANGE_WINDOW.tolerance);
+  const dayAgoEntries = new Map((dayAgo ? dayAgo.entries : []).map(entry => [entry.collectionId, entry]));
+
+  const entries = [];
+  const served = [];
+
+  for (let i = 0; i < ranked.length; i++) {
+    const tokenId = board.tokenStart + i;
+    const collection = ranked[i];
+    const currentRank = i + 1;
+
+    // Without a reference snapshot for the color window there is nothing to
+    // compare against, so the token keeps its last color.
+    const movement = movements.get(collection.id)[board.colorWindow.id]?.movement || 'same';
+    const color = movement === 'up' ? 'green' : movement === 'down' ? 'red' : (previousColors.get(collection.id) || 'red');
+    const fiat = fiatValues(collection, rates, dayAgo && { entry: dayAgoEntries.get(collection.id), rates: dayAgo.rates });
+
+    entries.push({
+      collectionId: collection.id,
+      chain: collection.chain,
+      name: collection.name,
+      rank: currentRank,
+      floor: collection.floor,
+      volume: collection.volume,
+      sales: collection.sales,
+      color
+    });
+    served.push({ ...collection, rank: currentRank, tokenId, color, fiat, movements: movements.get(collection.id) });
+  }
+
+  const jobs = served.map(collection => slotJob(board, collection, chartSeries(store, board, collection, collection.rank, takenAt)));
+  await renderTokens(board, jobs, store, takenAt);
+
+  saveLatest(board, store, { takenAt, staleSince: null, collections: served });
+  store.recordSnapshot(board.key, takenAt, entries, rates);
+  store.prune(board.key, takenAt);
+  await saveState(board, store, { takenAt, staleSince: null, collections: served }, takenAt);
+  saveScreening(store, board, takenAt, screening.report());
+  await renderBindings(board, store, takenAt);
+  return { ok: true, collections: served.length };
+}
+
+// Refreshes one board, marking its last good data stale if anything throws.
+async function refreshLeaderboard(board, context) {
+  try {
+    return await updateLeaderboard(board, context);
+  } catch (error) {
+    console.error(`Failed to update leaderboard ${board.key}:`, error);
+    markStale(board, context.store);
+    throw error;
+  }
+}
+
+module.exports = {
+  updateLeaderboard,
+  refreshLeaderboard,
+  renderLatest,
+  renderBindings,
+  restoreLatest,
+  restoreState,
+  saveBindings,
+  pruneStaleRenders,
+  getLatestCollections,
+  getFreshness,
+  secondsUntilRefresh,
+  imageMaxAge,
+  movementWindows
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const clock = require('./clock');
+
+const { Response } = fetch;
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'recordings');
+
+// Replay reruns the pipeline at recorded times, so it keeps its database,
+// images and stored state under REPLAY_DIR (default replay/) rather than
+// writing into the live ones; null unless UPSTREAM_MODE=replay.
+const REPLAY_DIR = process.env.UPSTREAM_MODE === 'replay'
+  ? path.resolve(process.env.REPLAY_DIR || path.join(__dirname, '..', 'replay'))
+  : null;
+
+function requestKey(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  return crypto.createHash('sha1').update(`${method} ${url}`).digest('hex').slice(0, 16);
+}
+
+// JSON and other text bodies are kept readable; anything else (logos) is
+// stored as base64 so the bytes survive the round trip.
+function encodeBody(buffer, contentType = '') {
+  if (/json|text|xml/i.test(contentType)) return { body: buffer.toString('utf8') };
+  return { body: buffer.toString('base64'), encoding: 'base64' };
+}
+
+function decodeBody(entry) {
+  return Buffer.from(entry.body, entry.encoding || 'utf8');
+}
+
+function latestSession() {
+  if (!fs.existsSync(RECORDINGS_DIR)) return null;
+  const sessions = fs.readdirSync(RECORDINGS_DIR)
+    .filter(name => fs.statSync(path.join(RECORDINGS_DIR, name)).isDirectory())
+    .sort();
+  return sessions[sessions.length - 1] || null;
+}
+
+// Writes every upstream response to recordings/<session>/ in arrival order.
+// Only the response is stored, so API keys in request headers never hit disk.
+function createRecordingTransport(session) {
+  const dir = path.join(RECORDINGS_DIR, session);
+  fs.mkdirSync(dir, { recursive: true });
+  let sequence = 0;
+
+  return async function recordingFetch(url, options = {}) {
+    const response = await fetch(url, options);
+    const body = await response.buffer();
+    const entry = {
+      key: requestKey(url, options),
+      method: (options.method || 'GET').toUpperCase(),
+      url,
+      recordedAt: clock.now(),
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers.raw(),
+      ...encodeBody(body, response.headers.get('content-type') || '')
+    };
+    sequence += 1;
+    const file = `${String(sequence).padStart(5, '0')}-${entry.key}.json`;
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(entry, null, 2));
+
+    return new Response(body, {
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: entry.headers
+    });
+  };
+}
+
+// Serves recorded responses instead of the network. Repeated requests for the
+// same URL replay in recorded order; the last one is reused once exhausted.
+function createReplayTransport(session) {
+  const dir = path.join(RECORDINGS_DIR, session);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`No recordings found for session ${session} in ${RECORDINGS_DIR}`);
+  }
+
+  const queues = new Map();
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    if (!queues.has(entry.key)) queues.set(entry.key, []);
+    queues.get(entry.key).push(entry);
+  }
+
+  return async function replayFetch(url, options = {}) {
+    const queue = queues.get(requestKey(url, options));
+    if (!queue || queue.length === 0) {
+      // Answer like the server would rather than throwing, so callers fail
+      // fast instead of backing off and retrying a miss.
+      return new Response(`No recorded response for ${url}`, { url, status: 404, statusText: 'Not Recorded' });
+    }
+    const entry = queue.length > 1 ? queue.shift() : queue[0];
+    clock.pin(entry.recordedAt);
+
+    return new Response(decodeBody(entry), {
+      url: entry.url,
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: entry.headers
+    });
+  };
+}
+
+// UPSTREAM_MODE=record|replay picks the transport; anything else is live.
+function createTransport(mode = process.env.UPSTREAM_MODE) {
+  if (mode === 'record') {
+    const session = process.env.RECORDING_SESSION || new Date().toISOString().replace(/[:.]/g, '-');
+    console.log(`Recording upstream responses to session ${session}`);
+    return createRecordingTransport(session);
+  }
+  if (mode === 'replay') {
+    const session = process.env.RECORDING_SESSION || latestSession();
+    if (!session) throw new Error(`No recording sessions found in ${RECORDINGS_DIR}`);
+    console.log(`Replaying upstream responses from session ${session}${REPLAY_DIR ? ` into ${REPLAY_DIR}` : ''}`);
+    return createReplayTransport(session);
+  }
+  return fetch;
+}
+
+module.exports = { createTransport, createRecordingTransport, createReplayTransport, requestKey, REPLAY_DIR };
@@ -0,0 +1,215 @@
+const { createCanvas, loadImage, registerFont } = require('canvas');
+const fs = require('fs');
+const path = require('path');
+const { graphemes, truncate, formatCompact, fontSize, fitFont, ellipsize, wrapText } = require('./text');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+const FONTS_DIR = path.join(ASSETS_DIR, 'fonts');
+const DEFAULT_FONT = '20px Lato, sans-serif';
+
+const images = new Map();
+
+async function loadAsset(src) {
+  const file = path.join(ASSETS_DIR, src);
+  if (!images.has(file)) images.set(file, await loadImage(file));
+  return images.get(file);
+}
+
+let fontsRegistered = false;
+
+// Registers the fonts listed in assets/fonts/fonts.json, so rendering does
+// not depend on what the host has installed. Glyphs a bundled font lacks
+// (emoji, CJK) fall back to system fonts through fontconfig.
+function registerFonts() {
+  if (fontsRegistered) return;
+  fontsRegistered = true;
+  const manifest = JSON.parse(fs.readFileSync(path.join(FONTS_DIR, 'fonts.json'), 'utf8'));
+  for (const { file, ...face } of manifest) {
+    registerFont(path.join(FONTS_DIR, file), face);
+  }
+}
+
+// {field} inserts a value; {field:N} formats numbers with N decimals and
+// cuts strings to N graphemes with an ellipsis; {field:c} and {field:cN}
+// format numbers compactly (1.2K, 3.4M) with up to 1 or N decimals.
+function bind(template, data) {
+  if (typeof template !== 'string') return template;
+  return template.replace(/\{(\w+)(?::(c?)(\d*))?\}/g, (match, field, compact, size) => {
+    const value = data[field];
+    if (value === undefined || value === null) return '';
+    if (compact) return typeof value === 'number' ? formatCompact(value, size === '' ? 1 : Number(size)) : String(value);
+    if (size === undefined || size === '') return String(value);
+    return typeof value === 'number' ? value.toFixed(Number(size)) : truncate(String(value), Number(size));
+  });
+}
+
+function matches(when, data) {
+  if (!when) return true;
+  return Object.entries(when).every(([field, expected]) =>
+    Array.isArray(expected) ? expected.includes(data[field]) : data[field] === expected
+  );
+}
+
+// Applies matching variants and binds every string property to the data.
+function resolveLayer(layer, data) {
+  const { variants, when, ...base } = layer;
+  const merged = (variants || [])
+    .filter(variant => matches(variant.when, data))
+    .reduce((acc, { when: _when, ...overrides }) => ({ ...acc, ...overrides }), base);
+  return Object.fromEntries(Object.entries(merged).map(([key, value]) => [key, bind(value, data)]));
+}
+
+// Plots `values` (oldest first) as a line inside `box`, with the high and low
+// points marked by hollow circles and the latest point by a filled dot.
+// Higher values are drawn higher; callers negate ranks so rank 1 is on top.
+function drawSparkline(ctx, values, color, box, lineWidth = 2) {
+  if (!values || values.length < 2) return;
+
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const span = max - min || 1;
+  const step = box.width / (values.length - 1);
+  const point = (value, i) => ({
+    x: box.x + i * step,
+    y: box.y + box.height - ((value - min) / span) * box.height
+  });
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+  values.forEach((value, i) => {
+    const { x, y } = point(value, i);
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+
+  ctx.lineWidth = lineWidth * 0.75;
+  for (const target of [max, min]) {
+    const { x, y } = point(target, values.indexOf(target));
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  const last = point(values[values.length - 1], values.length - 1);
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(last.x, last.y, 4, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+const LAYERS = {
+  async image(ctx, layer, theme) {
+    const img = await loadAsset(layer.src);
+    ctx.drawImage(img, layer.x || 0, layer.y || 0, layer.width || theme.width, layer.height || theme.height);
+  },
+
+  // With maxWidth the font shrinks to fit, down to minSize, and the text is
+  // then ellipsized; with wrap it breaks into up to maxLines lines instead.
+  text(ctx, layer) {
+    const font = layer.font || DEFAULT_FONT;
+    ctx.fillStyle = layer.fill || 'white';
+    ctx.textAlign = layer.align || 'left';
+    ctx.font = font;
+    if (!layer.maxWidth) {
+      ctx.fillText(layer.text, layer.x, layer.y);
+      return;
+    }
+    if (layer.wrap) {
+      const lineHeight = layer.lineHeight || Math.round((fontSize(font) || 20) * 1.2);
+      wrapText(ctx, layer.text, layer.maxWidth, layer.maxLines || 2).forEach((line, i) => {
+        ctx.fillText(line, layer.x, layer.y + i * lineHeight);
+      });
+      return;
+    }
+    fitFont(ctx, layer.text, font, layer.maxWidth, layer.minSize);
+    ctx.fillText(ellipsize(ctx, layer.text, layer.maxWidth), layer.x, layer.y);
+  },
+
+  rect(ctx, layer) {
+    if (layer.fill) {
+      ctx.fillStyle = layer.fill;
+      ctx.fillRect(layer.x, layer.y, layer.width, layer.height);
+    }
+    if (layer.stroke) {
+      ctx.strokeStyle = layer.stroke;
+      ctx.lineWidth = layer.lineWidth || 1;
+      ctx.strokeRect(layer.x, layer.y, layer.width, layer.height);
+    }
+  },
+
+  // Circle-cropped collection logo, or a lettered placeholder when the logo
+  // is missing or cannot be decoded.
+  async logo(ctx, layer, theme, data) {
+    const size = layer.size || 64;
+    const radius = size / 2;
+    const cx = layer.x + radius;
+    const cy = layer.y + radius;
+
+    let img = null;
+    if (data.logo) {
+      try {
+        img = await loadImage(data.logo);
+      } catch (error) {
+        console.error(`Failed to decode logo for ${data.name}:`, error.message);
+      }
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.closePath();
+    if (img) {
+      ctx.clip();
+      ctx.drawImage(img, layer.x, layer.y, size, size);
+    } else {
+      ctx.fillStyle = layer.placeholderFill || '#333333';
+      ctx.fill();
+      ctx.fillStyle = layer.placeholderText || 'white';
+      ctx.font = `${Math.round(size / 2)}px Lato, sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText((graphemes(data.name || '?')[0] || '?').toUpperCase(), cx, cy);
+    }
+    ctx.restore();
+
+    if (layer.stroke) {
+      ctx.strokeStyle = layer.stroke;
+      ctx.lineWidth = layer.lineWidth || 2;
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  },
+
+  sparkline(ctx, layer, theme, data) {
+    const chart = data.chart;
+    if (!chart) return;
+    const values = chart.metric === 'rank' ? chart.values.map(value => -value) : chart.values;
+    drawSparkline(ctx, values, layer.stroke || data.color, layer, layer.lineWidth);
+  }
+};
+
+// Draws a token image by interpreting the theme's layers against `data`:
+// { rank, name, floor, volume, color, movement, currency, board, chain, chart, logo }.
+async function renderToken(theme, data) {
+  registerFonts();
+  const canvas = createCanvas(theme.width, theme.height);
+  const ctx = canvas.getContext('2d');
+
+  for (const layer of theme.layers) {
+    if (!matches(layer.when, data)) continue;
+    const resolved = resolveLayer(layer, data);
+    try {
+      await LAYERS[resolved.type](ctx, resolved, theme, data);
+    } catch (error) {
+      console.error(`Failed to draw ${resolved.type} layer of theme ${theme.name}:`, error);
+      return null;
+    }
+  }
+
+  return canvas.toBuffer('image/png');
+}
+
+module.exports = { renderToken, drawSparkline, bind, ASSETS_DIR };
@@ -0,0 +1,85 @@
+const express = require('express');
+const { resolveBoard } = require('../leaderboards');
+const { renderBindings, saveBindings } = require('../rankings');
+const { BOUND_IMAGES_PATH } = require('../bindings');
+const { storage, imageKey } = require('../storage');
+const { requireAdmin } = require('../access');
+const { validate, integer, string, required } = require('../validation');
+const clock = require('../clock');
+
+const tokenParam = required(integer({ min: 1 }));
+
+function formatBinding(binding) {
+  return {
+    tokenId: binding.tokenId,
+    board: binding.board,
+    collectionId: binding.collectionId,
+    boundAt: new Date(binding.boundAt).toISOString()
+  };
+}
+
+// Manages the registry of tokens bound to collections:
+//   GET    /bindings[?board=]     list bindings
+//   PUT    /bindings/:tokenId     { collectionId, board? } binds or rebinds
+//   DELETE /bindings/:tokenId     unbinds and deletes the token's image
+function createBindingsRouter({ leaderboards, store }) {
+  const router = express.Router();
+  router.use('/bindings', requireAdmin, express.json({ limit: '4kb' }));
+
+  router.get('/bindings', validate({ query: { board: string() } }), (req, res) => {
+    const board = req.input.board ? resolveBoard(leaderboards, req.input.board) : null;
+    if (req.input.board && !board) {
+      return res.status(404).json({ error: `Unknown leaderboard: ${req.query.board}` });
+    }
+    res.json({ bindings: store.bindings(board ? board.key : undefined).map(formatBinding) });
+  });
+
+  router.put('/bindings/:tokenId', validate({
+    params: { tokenId: tokenParam },
+    body: { collectionId: required(string({ trim: true })), board: string() }
+  }), async (req, res, next) => {
+    const { tokenId, board: boardRef } = req.input;
+    // Ranked collection ids are lowercase addresses.
+    const collectionId = req.input.collectionId.toLowerCase();
+    const board = resolveBoard(leaderboards, boardRef);
+    if (!board) {
+      return res.status(404).json({ error: `Unknown leaderboard: ${boardRef}` });
+    }
+
+    try {
+      const existed = Boolean(store.binding(tokenId));
+      store.bindToken({ tokenId, board: board.key, collectionId, boundAt: clock.now() });
+      await saveBindings(store);
+      try {
+        await renderBindings(board, store, clock.now());
+      } catch (error) {
+        console.error(`Failed to render bound token ${tokenId}:`, error);
+      }
+      res.status(existed ? 200 : 201).json(formatBinding(store.binding(tokenId)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/bindings/:tokenId', validate({ params: { tokenId: tokenParam } }), async (req, res, next) => {
+    try {
+      if (!store.unbindToken(req.input.tokenId)) {
+        return res.status(404).json({ error: 'Token is not bound to a collection' });
+      }
+      await saveBindings(store);
+      try {
+        await storage.delete(imageKey(BOUND_IMAGES_PATH, req.input.tokenId));
+      } catch (error) {
+        // Left for pruneStaleRenders() to collect.
+        console.error(`Failed to delete image of unbound token ${req.input.tokenId}:`, error.message);
+      }
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBindingsRouter };
@@ -0,0 +1,70 @@
+const express = require('express');
+const metrics = require('../metrics');
+const { getLatestCollections, getFreshness } = require('../rankings');
+const { parseSchedule, dueTime } = require('../scheduler');
+const clock = require('../clock');
+
+const MISSED_RUNS = 3;
+
+// /health reports ready only when every leaderboard has a recent snapshot,
+// so a wedged refresh loop fails the check. A snapshot is too old once three
+// of its board's scheduled refreshes have passed since it was taken, or
+// after HEALTH_MAX_AGE_MINUTES when that is set. Each board also reports its
+// last scheduled refresh.
+function createHealthRouter({ leaderboards, store }) {
+  const router = express.Router();
+  const maxAge = Number(process.env.HEALTH_MAX_AGE_MINUTES || 0) * 60 * 1000;
+  const schedules = new Map(leaderboards.map(board => [board.key, parseSchedule(board.schedule)]));
+
+  function isRecent(board, takenAt, now) {
+    if (maxAge) return now - takenAt <= maxAge;
+    return now <= dueTime(schedules.get(board.key), takenAt, MISSED_RUNS);
+  }
+
+  function lastRun(board) {
+    const [run] = store.jobRuns(`refresh:${board.key}`, 1);
+    if (!run) return null;
+    return {
+      startedAt: new Date(run.startedAt).toISOString(),
+      durationMs: run.durationMs,
+      outcome: run.outcome,
+      collections: run.collections,
+      error: run.error
+    };
+  }
+
+  function boardStatus(board, now) {
+    const freshness = getFreshness(board, now);
+    const age = freshness.takenAt ? now - freshness.takenAt : null;
+    return {
+      board: board.key,
+      state: freshness.state,
+      snapshotAt: freshness.takenAt ? new Date(freshness.takenAt).toISOString() : null,
+      ageSeconds: age === null ? null : Math.round(age / 1000),
+      collections: getLatestCollections(board).length,
+      ready: age !== null && isRecent(board, freshness.takenAt, now),
+      lastRun: lastRun(board)
+    };
+  }
+
+  router.get('/health', (req, res) => {
+    const now = clock.now();
+    const boards = leaderboards.map(board => boardStatus(board, now));
+    const ready = boards.every(board => board.ready);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', boards });
+  });
+
+  router.get('/metrics', async (req, res) => {
+    const now = clock.now();
+    for (const board of leaderboards) {
+      const takenAt = getFreshness(board, now).takenAt;
+      if (takenAt) metrics.snapshotAge.set({ board: board.key }, (now - takenAt) / 1000);
+      metrics.collectionsServed.set({ board: board.key }, getLatestCollections(board).length);
+    }
+    res.type(metrics.register.contentType).send(await metrics.register.metrics());
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,165 @@
+const express = require('express');
+const { resolveBoard } = require('../leaderboards');
+const { parseWindow, compareSnapshots } = require('../movement');
+const { loadScreening } = require('../filters');
+const { exportFormat, snapshotRows, historyRows, writeRows } = require('../exports');
+const { requireApiKey } = require('../access');
+const { ValidationError, validate, integer, string, time, oneOf } = require('../validation');
+const clock = require('../clock');
+
+function formatSnapshot(board, snapshot) {
+  return {
+    board: board.key,
+    takenAt: new Date(snapshot.takenAt).toISOString(),
+    currency: board.currency,
+    rates: snapshot.rates,
+    rankings: snapshot.entries
+  };
+}
+
+const DEFAULT_RANGE = 7 * 24 * 60 * 60 * 1000;
+
+function movementWindow(value, name) {
+  try {
+    return parseWindow(string({ maxLength: 16 })(value, name));
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+}
+
+const board = string({ maxLength: 128 });
+const range = { board, from: time(), to: time() };
+const exportQuery = { board, format: oneOf(['csv', 'ndjson']), collection: string() };
+
+// Streams export rows as CSV or NDJSON. Errors after the first byte can only
+// be reported by cutting the response short.
+async function sendExport(req, res, name, rows) {
+  const formatName = req.input.format || 'csv';
+  const format = exportFormat(formatName);
+  res.attachment(`${req.board.key.replace(/\//g, '-')}-${name}.${formatName}`);
+  res.type(format.contentType);
+  try {
+    await writeRows(res, format, rows);
+    res.end();
+  } catch (error) {
+    console.error(`Export of ${req.board.key} ${name} failed:`, error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Export failed' });
+  }
+}
+
+function createHistoryRouter({ leaderboards, store }) {
+  const router = express.Router();
+
+  // Validates the request, then resolves its board (or the default one).
+  function boardQuery(query, params = {}) {
+    return [validate({ params, query }), (req, res, next) => {
+      req.board = resolveBoard(leaderboards, req.input.board);
+      if (!req.board) {
+        return res.status(404).json({ error: `Unknown leaderboard: ${req.input.board}` });
+      }
+      next();
+    }];
+  }
+
+  function timeRange(input) {
+    const now = clock.now();
+    return {
+      from: input.from === undefined ? now - DEFAULT_RANGE : input.from,
+      to: input.to === undefined ? now : input.to
+    };
+  }
+
+  function snapshotFor(req, res) {
+    const { at } = req.input;
+    const snapshot = at === undefined ? store.latestSnapshot(req.board.key) : store.snapshotAt(req.board.key, at);
+    if (!snapshot) res.status(404).json({ error: 'No snapshot recorded at or before that time' });
+    return snapshot;
+  }
+
+  router.get('/rankings', boardQuery({ board, at: time() }), (req, res) => {
+    const snapshot = snapshotFor(req, res);
+    if (snapshot) res.json(formatSnapshot(req.board, snapshot));
+  });
+
+  // One snapshot, latest or in effect at `at`, as CSV or NDJSON.
+  router.get('/export/rankings', requireApiKey, boardQuery({ ...exportQuery, at: time() }), (req, res) => {
+    const snapshot = snapshotFor(req, res);
+    if (!snapshot) return;
+    const previous = store.snapshotAt(req.board.key, snapshot.takenAt - 1);
+    sendExport(req, res, 'rankings', snapshotRows(req.board, snapshot, previous, req.input.collection));
+  });
+
+  // Every snapshot between `from` and `to` (default: the last 7 days),
+  // optionally narrowed to one collection.
+  router.get('/export/history', requireApiKey, boardQuery({ ...exportQuery, ...range }), (req, res) => {
+    sendExport(req, res, 'history', historyRows(store, req.board, {
+      ...timeRange(req.input),
+      collectionId: req.input.collection
+    }));
+  });
+
+  router.get('/collections/:id/history', requireApiKey, boardQuery(range, { id: string() }), (req, res) => {
+    const { from, to } = timeRange(req.input);
+    const points = store.collectionHistory(req.board.key, req.input.id, from, to);
+    res.json({
+      board: req.board.key,
+      collectionId: req.input.id,
+      series: points.map(point => ({
+        takenAt: new Date(point.takenAt).toISOString(),
+        rank: point.rank,
+        floor: point.floor,
+        volume: point.volume
+      }))
+    });
+  });
+
+  router.get('/movers', requireApiKey, boardQuery({
+    board,
+    window: movementWindow,
+    limit: integer({ min: 1, max: 100 })
+  }), (req, res) => {
+    const { window = parseWindow('24h'), limit = 10 } = req.input;
+
+    const current = store.latestSnapshot(req.board.key);
+    if (!current) {
+      return res.status(404).json({ error: 'No snapshots recorded yet' });
+    }
+    const reference = window.duration
+      ? store.snapshotNear(req.board.key, current.takenAt - window.duration, window.tolerance)
+      : store.snapshotAt(req.board.key, current.takenAt - 1);
+    if (!reference) {
+      return res.status(404).json({ error: `No snapshot available ${window.id} before the latest one` });
+    }
+
+    const { gainers, losers, newEntries, dropouts } = compareSnapshots(current, reference);
+    res.json({
+      board: req.board.key,
+      window: window.id,
+      from: new Date(reference.takenAt).toISOString(),
+      to: new Date(current.takenAt).toISOString(),
+      gainers: gainers.slice(0, limit),
+      losers: losers.slice(0, limit),
+      newEntries: newEntries.slice(0, limit),
+      dropouts: dropouts.slice(0, limit)
+    });
+  });
+
+  // Collections the filters left out of (or flagged on) the last refresh.
+  router.get('/exclusions', boardQuery({ board }), (req, res) => {
+    const screening = loadScreening(store, req.board);
+    if (!screening) {
+      return res.status(404).json({ error: 'No refresh has completed yet' });
+    }
+    res.json({
+      board: req.board.key,
+      checkedAt: new Date(screening.checkedAt).toISOString(),
+      excluded: screening.excluded,
+      flagged: screening.flagged
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createHistoryRouter, formatSnapshot };
@@ -0,0 +1,153 @@
+const express = require('express');
+const { findBoard, findBoardForToken } = require('../leaderboards');
+const { resolveBinding, BOUND_IMAGES_PATH } = require('../bindings');
+const { getLatestCollections, getFreshness, secondsUntilRefresh, movementWindows } = require('../rankings');
+const { movementTraits } = require('../movement');
+const { flagTraits } = require('../filters');
+const { fiatTraits } = require('../prices');
+const { sendCachedJson } = require('../httpCache');
+const { storage, imageKey } = require('../storage');
+const { validate, integer, string, required } = require('../validation');
+
+const tokenParam = required(integer({ min: 1 }));
+const nameParam = required(string({ maxLength: 64 }));
+
+// Metadata is cached until its board's next refresh is due.
+function createMetadataRouter({ leaderboards, chains, store }) {
+  const router = express.Router();
+
+  function chainName(id) {
+    const chain = chains.find(c => c.id === id);
+    return chain ? chain.name : id;
+  }
+
+  function freshnessTraits(freshness) {
+    if (freshness.state === 'live') return [{ trait_type: 'Data Freshness', value: 'Live' }];
+    return [
+      { trait_type: 'Data Freshness', value: 'Stale' },
+      { trait_type: 'Stale since', display_type: 'date', value: Math.floor(freshness.staleSince / 1000) }
+    ];
+  }
+
+  // Moves on when the data goes stale too, since that adds traits.
+  function lastModified(freshness) {
+    return Math.max(freshness.takenAt, freshness.staleSince || 0);
+  }
+
+  function sendExpired(res, board, freshness) {
+    res.set('Retry-After', String(secondsUntilRefresh(board)));
+    res.status(503).json({
+      error: 'Ranking data is too old to serve',
+      staleSince: new Date(freshness.staleSince).toISOString()
+    });
+  }
+
+  // Versioned by the render fingerprint, so the URL changes with the image.
+  function imageUrl(req, target, imagesPath, tokenId) {
+    const version = store.renderFingerprint(target, tokenId);
+    return storage.url(imageKey(imagesPath, tokenId), { req, version: version && version.slice(0, 16) });
+  }
+
+  function sendMetadata(req, res, board, tokenId) {
+    const freshness = getFreshness(board);
+    if (freshness.state === 'expired') return sendExpired(res, board, freshness);
+    const collections = getLatestCollections(board);
+    const rank = tokenId - board.tokenStart + 1;
+    if (!(rank >= 1 && rank <= collections.length)) {
+      return res.status(404).json({ error: 'Invalid token ID or no data available' });
+    }
+    const collection = collections[rank - 1];
+    const metadata = {
+      name: `Rank #${rank}: ${collection.name}`,
+      description: `Represents the rank ${rank} collection by ${board.title} on ${board.network}`,
+      image: imageUrl(req, board.key, board.imagesPath, tokenId),
+      attributes: [
+        { trait_type: 'Leaderboard', value: board.title },
+        { trait_type: 'Chain', value: board.chain ? board.chain.name : chainName(collection.chain) },
+        { trait_type: 'Rank', value: rank },
+        { trait_type: 'Collection Name', value: collection.name },
+        { trait_type: 'Currency', value: board.currency },
+        { trait_type: 'Floor Price', value: collection.floor },
+        { trait_type: '24h Volume', value: collection.volume['1day'] },
+        ...fiatTraits(collection.fiat),
+        ...movementTraits(collection.movements, movementWindows(board)),
+        ...flagTraits(collection),
+        ...freshnessTraits(freshness)
+      ]
+    };
+    sendCachedJson(req, res, metadata, { lastModified: lastModified(freshness), maxAge: secondsUntilRefresh(board) });
+  }
+
+  // A bound token's rank and art follow its collection, which may have
+  // dropped off the board entirely.
+  function sendBoundMetadata(req, res, binding) {
+    const board = leaderboards.find(b => b.key === binding.board);
+    if (!board) {
+      return res.status(404).json({ error: `Token is bound to a leaderboard that no longer exists: ${binding.board}` });
+    }
+    const freshness = getFreshness(board);
+    if (freshness.state === 'expired') return sendExpired(res, board, freshness);
+    if (freshness.state === 'none') {
+      return res.status(404).json({ error: 'No ranking data available yet' });
+    }
+
+    const view = resolveBinding(board, binding, getLatestCollections(board), store);
+    const { collection } = view;
+    const metadata = {
+      name: view.rank ? `${collection.name}: Rank #${view.rank}` : `${collection.name}: ${view.rankLabel}`,
+      description: `Follows the rank of ${collection.name} by ${board.title} on ${board.network}`,
+      image: imageUrl(req, 'bound', BOUND_IMAGES_PATH, binding.tokenId),
+      attributes: [
+        { trait_type: 'Leaderboard', value: board.title },
+        { trait_type: 'Chain', value: board.chain ? board.chain.name : chainName(collection.chain) },
+        { trait_type: 'Rank', value: view.rank || view.rankLabel },
+        { trait_type: 'Collection Name', value: collection.name },
+        { trait_type: 'Currency', value: board.currency },
+        ...(collection.floor != null ? [{ trait_type: 'Floor Price', value: collection.floor }] : []),
+        ...(collection.volume['1day'] != null ? [{ trait_type: '24h Volume', value: collection.volume['1day'] }] : []),
+        ...fiatTraits(collection.fiat),
+        ...(view.state === 'ranked' ? movementTraits(collection.movements, movementWindows(board)) : []),
+        ...flagTraits(collection),
+        ...(view.lastRankedAt ? [{ trait_type: 'Last Ranked', display_type: 'date', value: Math.floor(view.lastRankedAt / 1000) }] : []),
+        ...freshnessTraits(freshness)
+      ]
+    };
+    sendCachedJson(req, res, metadata, { lastModified: lastModified(freshness), maxAge: secondsUntilRefresh(board) });
+  }
+
+  router.get('/bound/metadata/:tokenId', validate({ params: { tokenId: tokenParam } }), (req, res) => {
+    const binding = store.binding(req.input.tokenId);
+    if (!binding) {
+      return res.status(404).json({ error: 'Token is not bound to a collection' });
+    }
+    sendBoundMetadata(req, res, binding);
+  });
+
+  router.get('/metadata/:tokenId', validate({ params: { tokenId: tokenParam } }), (req, res) => {
+    const board = findBoardForToken(leaderboards, req.input.tokenId);
+    if (!board) {
+      return res.status(404).json({ error: 'Invalid token ID or no data available' });
+    }
+    sendMetadata(req, res, board, req.input.tokenId);
+  });
+
+  router.get('/metadata/:board/:tokenId', validate({ params: { board: nameParam, tokenId: tokenParam } }), (req, res) => {
+    const board = findBoard(leaderboards, chains[0].id, req.input.board);
+    if (!board) {
+      return res.status(404).json({ error: 'Unknown leaderboard' });
+    }
+    sendMetadata(req, res, board, req.input.tokenId);
+  });
+
+  router.get('/metadata/:chain/:board/:tokenId', validate({ params: { chain: nameParam, board: nameParam, tokenId: tokenParam } }), (req, res) => {
+    const board = findBoard(leaderboards, req.input.chain, req.input.board);
+    if (!board) {
+      return res.status(404).json({ error: 'Unknown leaderboard' });
+    }
+    sendMetadata(req, res, board, req.input.tokenId);
+  });
+
+  return router;
+}
+
+module.exports = { createMetadataRouter };
@@ -0,0 +1,223 @@
+const clock = require('./clock');
+const metrics = require('./metrics');
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const MAX_BACKOFF = Number(process.env.MAX_BACKOFF_MINUTES || 60) * 60 * 1000;
+const JITTER = 0.1;
+const MAX_JITTER = 30 * 1000;
+// Longer setTimeout delays overflow and fire at once.
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// Parses one cron field ("*", "5", "1-5", "*/15", "0,30") into a Set.
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid cron ${name}: ${text}`);
+    let [from, to] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (to === undefined) to = match[2] ? max : from;
+    const step = match[2] ? Number(match[2]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid cron ${name}: ${text}`);
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+// "5m", "30s", "1h" run on a fixed interval; anything else is read as a
+// five-field cron expression (minute hour day-of-month month day-of-week).
+// As in standard cron, day of week 7 is Sunday, and when both day fields are
+// restricted (neither starts with "*") a day matching either one runs.
+function parseSchedule(spec) {
+  const interval = /^(\d+)([smhd])$/.exec(spec);
+  if (interval) {
+    const every = Number(interval[1]) * UNITS[interval[2]];
+    if (every <= 0) throw new Error(`Invalid schedule: ${spec}`);
+    return { spec, every };
+  }
+  const fields = spec.trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Invalid schedule: ${spec}`);
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  const eitherDay = !fields[2].startsWith('*') && !fields[4].startsWith('*');
+  const cron = { minutes, hours, days, months, weekdays, eitherDay };
+  // Rejects specs like "0 0 31 2 *" here rather than when the job is due.
+  try {
+    nextCronTime(cron, Date.now());
+  } catch (error) {
+    throw new Error(`Invalid schedule: ${spec} never matches`);
+  }
+  return { spec, cron };
+}
+
+// Time of the next cron match strictly after `from`, in server local time.
+// Skips whole months, days and hours that cannot match; the search spans
+// eight years so a February 29th schedule is always found.
+function nextCronTime(cron, from) {
+  const { minutes, hours, days, months, weekdays, eitherDay } = cron;
+  const dayMatches = date => (eitherDay
+    ? days.has(date.getDate()) || weekdays.has(date.getDay())
+    : days.has(date.getDate()) && weekdays.has(date.getDay()));
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from + 8 * 366 * UNITS.d;
+  while (date.getTime() <= limit) {
+    if (!months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  throw new Error('Cron expression never matches');
+}
+
+// When a job on `schedule` that ran at `from` is next due, or `runs` runs on.
+function dueTime(schedule, from, runs = 1) {
+  let time = from;
+  for (let i = 0; i < runs; i++) {
+    time = schedule.every ? time + schedule.every : nextCronTime(schedule.cron, time);
+  }
+  return time;
+}
+
+// When a job that ran at `from` is next due, or, once that has passed, when
+// it would be due had it run at `now`.
+function nextDueTime(schedule, from, now) {
+  const due = dueTime(schedule, from);
+  return due > now ? due : dueTime(schedule, now);
+}
+
+// Spreads runs by up to ±10% of the delay (at most ±30s) so jobs sharing a
+// schedule do not all hit the upstream API at once.
+function jitter(ms) {
+  const spread = Math.min(ms * JITTER, MAX_JITTER);
+  return Math.max(0, Math.round(ms + (Math.random() * 2 - 1) * spread));
+}
+
+// Runs named jobs on their schedules. Only one job runs at a time; a job
+// that comes due while it is still running or queued is skipped. After a
+// failure the next attempt backs off exponentially from the job's normal
+// interval, up to MAX_BACKOFF_MINUTES. Each run is recorded in the store.
+//
+// A job is { name, schedule, run } where run() resolves to
+// { ok, collections } or throws.
+function createScheduler({ jobs, store }) {
+  const states = jobs.map(job => ({
+    ...job,
+    schedule: parseSchedule(job.schedule),
+    failures: 0,
+    pending: false,
+    timer: null
+  }));
+  let queue = Promise.resolve();
+  let stopped = false;
+
+  function baseDelay(state) {
+    const { schedule } = state;
+    const now = clock.now();
+    return schedule.every ? schedule.every : nextCronTime(schedule.cron, now) - now;
+  }
+
+  // Runs in the finally of the shared queue, so it must not throw.
+  function scheduleNext(state) {
+    clearTimeout(state.timer);
+    if (stopped) return;
+    let delay;
+    try {
+      delay = baseDelay(state);
+    } catch (error) {
+      console.error(`Cannot schedule ${state.name}, it will not run again:`, error);
+      return;
+    }
+    if (state.failures > 0) {
+      const interval = state.schedule.every || delay;
+      delay = Math.min(interval * Math.pow(2, state.failures - 1), MAX_BACKOFF);
+    }
+    arm(state, Date.now() + jitter(delay));
+  }
+
+  // Waits at most MAX_TIMEOUT at a time (about 24.8 days), re-arming until
+  // the job is due.
+  function arm(state, due) {
+    const wait = Math.min(Math.max(0, due - Date.now()), MAX_TIMEOUT);
+    state.timer = setTimeout(() => (Date.now() < due ? arm(state, due) : trigger(state)), wait);
+  }
+
+  async function execute(state) {
+    const startedAt = clock.now();
+    let outcome = 'success';
+    let collections = 0;
+    let error = null;
+    try {
+      const result = await state.run();
+      collections = result?.collections || 0;
+      if (result && result.ok === false) outcome = 'failure';
+    } catch (err) {
+      outcome = 'failure';
+      error = err.message;
+      console.error(`Job ${state.name} failed:`, err);
+    }
+    const finishedAt = clock.now();
+    metrics.jobRuns.inc({ job: state.name, outcome });
+
+    state.failures = outcome === 'success' ? 0 : state.failures + 1;
+    if (state.failures > 0) {
+      console.error(`Job ${state.name} has failed ${state.failures} time(s) in a row, backing off`);
+    }
+    try {
+      store.recordJobRun({ job: state.name, startedAt, finishedAt, outcome, collections, error });
+    } catch (err) {
+      console.error(`Failed to record run of ${state.name}:`, err);
+    }
+  }
+
+  function trigger(state) {
+    if (stopped) return queue;
+    if (state.pending) {
+      console.log(`Skipping ${state.name}: previous run still in progress`);
+      return queue;
+    }
+    state.pending = true;
+    queue = queue.then(async () => {
+      try {
+        if (!stopped) await execute(state);
+      } finally {
+        state.pending = false;
+        scheduleNext(state);
+      }
+    });
+    return queue;
+  }
+
+  // Starts every job immediately, then on its schedule.
+  function start() {
+    for (const state of states) trigger(state);
+  }
+
+  // Cancels pending timers and resolves once the in-flight run has finished.
+  async function stop() {
+    stopped = true;
+    for (const state of states) clearTimeout(state.timer);
+    await queue;
+  }
+
+  return { start, stop };
+}
+
+module.exports = { createScheduler, parseSchedule, nextCronTime, dueTime, nextDueTime };
@@ -0,0 +1,40 @@
+const path = require('path');
+const { IMAGES_DIR } = require('../leaderboards');
+const { createLocalDriver } = require('./local');
+const { createS3Driver } = require('./s3');
+const { REPLAY_DIR } = require('../recorder');
+
+const STATE_DIR = REPLAY_DIR
+  ? path.join(REPLAY_DIR, 'state')
+  : process.env.STATE_DIR || path.join(__dirname, '..', '..', 'data', 'state');
+
+const DRIVERS = {
+  local: () => createLocalDriver({ roots: { images: IMAGES_DIR, state: STATE_DIR } }),
+  s3: () => createS3Driver()
+};
+
+// A driver is { name, put(key, body, { contentType, cacheControl }),
+// get(key) -> Buffer or null, delete(key), list(prefix) -> [{ key, size,
+// lastModified }], url(key, { req, version }) }. Keys are "/"-separated:
+// rendered images live under images/ (mirroring their /images URL paths)
+// and persisted ranking state under state/. Local files take their caching
+// headers from the /images route instead of cacheControl. STORAGE_DRIVER
+// picks one: local (default) or s3; replay always stores locally.
+function createStorage(name = process.env.STORAGE_DRIVER || 'local') {
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown storage driver: ${name}`);
+  return factory();
+}
+
+const storage = createStorage(REPLAY_DIR ? 'local' : undefined);
+
+// "/images/ethereum/volume" -> "images/ethereum/volume/".
+function imagePrefix(imagesPath) {
+  return `${imagesPath.replace(/^\//, '')}/`;
+}
+
+function imageKey(imagesPath, tokenId) {
+  return `${imagePrefix(imagesPath)}token${tokenId}.png`;
+}
+
+module.exports = { createStorage, storage, imagePrefix, imageKey };
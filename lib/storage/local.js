@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../files');
+
+// Files on local disk. The first segment of a key names an area ("images",
+// "state") and each area maps to a directory; images are served by the
+// app itself under /images.
+function createLocalDriver({ roots }) {
+  function resolve(key) {
+    const [area, ...rest] = key.split('/');
+    const root = roots[area];
+    const file = root && path.resolve(root, ...rest);
+    if (!file || !rest.length || path.relative(root, file).startsWith('..')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  function walk(dir, keyPrefix, objects) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return objects;
+      throw error;
+    }
+    for (const entry of entries) {
+      const key = `${keyPrefix}${entry.name}`;
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(file, `${key}/`, objects);
+      } else if (entry.isFile()) {
+        const stat = fs.statSync(file);
+        objects.push({ key, size: stat.size, lastModified: stat.mtimeMs });
+      }
+    }
+    return objects;
+  }
+
+  return {
+    name: 'local',
+    async put(key, body) {
+      const file = resolve(key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      writeFileAtomic(file, body);
+    },
+    async get(key) {
+      try {
+        return fs.readFileSync(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async delete(key) {
+      fs.rmSync(resolve(key), { force: true });
+    },
+    // Walks from the deepest directory the prefix names.
+    async list(prefix) {
+      const dirKey = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+      const [area, ...rest] = dirKey.split('/');
+      if (!roots[area]) return [];
+      const objects = walk(path.join(roots[area], ...rest), dirKey, []);
+      return objects.filter(object => object.key.startsWith(prefix));
+    },
+    url(key, { req, version } = {}) {
+      return `${req.protocol}://${req.get('host')}/${key}${version ? `?v=${version}` : ''}`;
+    }
+  };
+}
+
+module.exports = { createLocalDriver };
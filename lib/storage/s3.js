@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding, as SigV4 requires.
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function amzDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function canonicalQuery(query) {
+  return Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+}
+
+function xmlText(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function xmlValues(xml, tag) {
+  return Array.from(xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g')), match => xmlText(match[1]));
+}
+
+// Any S3-compatible service (AWS, MinIO, R2, ...), signed with SigV4 over
+// plain node-fetch. Path-style addressing is the default since MinIO and most
+// self-hosted services expect it.
+//
+// Image URLs are either public (S3_PUBLIC_URL, or the bucket's own URL) or
+// presigned for S3_PRESIGN_EXPIRES_SECONDS. Presigned URLs are signed as of
+// the start of the current UTC day so they stay the same, and cacheable, for
+// the whole day; they are valid for at least the expiry minus one day.
+function createS3Driver({
+  endpoint = process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+  region = process.env.S3_REGION || 'us-east-1',
+  bucket = process.env.S3_BUCKET,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  pathStyle = process.env.S3_FORCE_PATH_STYLE !== 'false',
+  urlMode = process.env.S3_URL_MODE || 'public',
+  publicUrl = process.env.S3_PUBLIC_URL,
+  presignExpires = Number(process.env.S3_PRESIGN_EXPIRES_SECONDS || MAX_PRESIGN_SECONDS),
+  timeout = Number(process.env.STORAGE_TIMEOUT_MS || 15000)
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  if (!['public', 'presigned'].includes(urlMode)) throw new Error(`Unknown S3_URL_MODE: ${urlMode}`);
+  if (!(presignExpires > DAY / 1000 && presignExpires <= MAX_PRESIGN_SECONDS)) {
+    throw new Error(`S3_PRESIGN_EXPIRES_SECONDS must be more than a day and at most ${MAX_PRESIGN_SECONDS}`);
+  }
+
+  const base = new URL(endpoint);
+  const host = pathStyle ? base.host : `${bucket}.${base.host}`;
+  const origin = `${base.protocol}//${host}`;
+  const publicBase = (publicUrl || `${origin}${pathStyle ? `/${bucket}` : ''}`).replace(/\/$/, '');
+
+  function objectPath(key) {
+    if (!key) return pathStyle ? `/${bucket}` : '/';
+    return `${pathStyle ? `/${bucket}` : ''}/${key.split('/').map(encode).join('/')}`;
+  }
+
+  function signature(method, pathname, query, headers, payloadHash, date) {
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      pathname,
+      canonicalQuery(query),
+      names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+    const day = date.slice(0, 8);
+    const stringToSign = [ALGORITHM, date, `${day}/${region}/s3/aws4_request`, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+    return { names, signature: hmac(signingKey, stringToSign).toString('hex') };
+  }
+
+  async function request(method, key, { query = {}, body, contentType, cacheControl } = {}) {
+    const pathname = objectPath(key);
+    const date = amzDate(Date.now());
+    const payloadHash = sha256(body || '');
+    const headers = { host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': date };
+    const signed = signature(method, pathname, query, headers, payloadHash, date);
+    const qs = canonicalQuery(query);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+    try {
+      response = await fetch(`${origin}${pathname}${qs ? `?${qs}` : ''}`, {
+        method,
+        headers: {
+          'x-amz-content-sha256': payloadHash,
+          'x-amz-date': date,
+          authorization: `${ALGORITHM} Credential=${accessKeyId}/${date.slice(0, 8)}/${region}/s3/aws4_request, ` +
+            `SignedHeaders=${signed.names.join(';')}, Signature=${signed.signature}`,
+          ...(contentType ? { 'content-type': contentType } : {}),
+          ...(cacheControl ? { 'cache-control': cacheControl } : {})
+        },
+        body,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (controller.signal.aborted) throw new Error(`S3 ${method} ${key || bucket} timed out after ${timeout}ms`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+    if (response.status === 404 && method !== 'PUT') return null;
+    if (!response.ok) {
+      const code = xmlValues(await response.text(), 'Code')[0];
+      throw new Error(`S3 ${method} ${key || bucket} failed: HTTP ${response.status}${code ? ` ${code}` : ''}`);
+    }
+    return response;
+  }
+
+  function presign(key, extraQuery, signedAt, expires = presignExpires) {
+    const pathname = objectPath(key);
+    const date = amzDate(signedAt);
+    const query = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${accessKeyId}/${date.slice(0, 8)}/${region}/s3/aws4_request`,
+      'X-Amz-Date': date,
+      'X-Amz-Expires': String(expires),
+      'X-Amz-SignedHeaders': 'host',
+      ...extraQuery
+    };
+    const { signature: sig } = signature('GET', pathname, query, { host }, 'UNSIGNED-PAYLOAD', date);
+    return `${origin}${pathname}?${canonicalQuery(query)}&X-Amz-Signature=${sig}`;
+  }
+
+  return {
+    name: 's3',
+    async put(key, body, { contentType = 'application/octet-stream', cacheControl } = {}) {
+      await request('PUT', key, { body, contentType, cacheControl });
+    },
+    async get(key) {
+      const response = await request('GET', key);
+      return response && response.buffer();
+    },
+    async delete(key) {
+      await request('DELETE', key);
+    },
+    async list(prefix) {
+      const objects = [];
+      let continuation = null;
+      do {
+        const query = { 'list-type': '2', prefix, ...(continuation ? { 'continuation-token': continuation } : {}) };
+        const response = await request('GET', null, { query });
+        if (!response) throw new Error(`S3 bucket ${bucket} does not exist`);
+        const xml = await response.text();
+        for (const entry of xmlValues(xml, 'Contents')) {
+          objects.push({
+            key: xmlValues(entry, 'Key')[0],
+            size: Number(xmlValues(entry, 'Size')[0]),
+            lastModified: Date.parse(xmlValues(entry, 'LastModified')[0])
+          });
+        }
+        continuation = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+      } while (continuation);
+      return objects;
+    },
+    url(key, { version } = {}) {
+      const versionQuery = version ? { v: version } : {};
+      if (urlMode === 'presigned') return presign(key, versionQuery, Math.floor(Date.now() / DAY) * DAY);
+      return `${publicBase}/${key.split('/').map(encode).join('/')}${version ? `?v=${version}` : ''}`;
+    }
+  };
+}
+
+module.exports = { createS3Driver };
@@ -0,0 +1,419 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { REPLAY_DIR } = require('./recorder');
+
+const DATABASE_FILE = REPLAY_DIR
+  ? path.join(REPLAY_DIR, 'rankings.db')
+  : process.env.DATABASE_FILE || path.join(__dirname, '..', 'data', 'rankings.db');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Snapshots are kept at full resolution for RAW_RETENTION_HOURS, thinned to
+// one per hour until HOURLY_RETENTION_DAYS, then one per day until
+// SNAPSHOT_RETENTION_DAYS, after which they are deleted.
+const RETENTION = {
+  raw: Number(process.env.RAW_RETENTION_HOURS || 48) * HOUR,
+  hourly: Number(process.env.HOURLY_RETENTION_DAYS || 30) * DAY,
+  total: Number(process.env.SNAPSHOT_RETENTION_DAYS || 365) * DAY
+};
+
+const JOB_RUN_HISTORY = Number(process.env.JOB_RUN_HISTORY || 1000);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS snapshots (
+    id INTEGER PRIMARY KEY,
+    board TEXT NOT NULL,
+    taken_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS snapshots_board_time ON snapshots (board, taken_at);
+
+  CREATE TABLE IF NOT EXISTS snapshot_entries (
+    snapshot_id INTEGER NOT NULL REFERENCES snapshots (id) ON DELETE CASCADE,
+    collection_id TEXT NOT NULL,
+    chain TEXT,
+    name TEXT,
+    rank INTEGER NOT NULL,
+    floor REAL,
+    volume_1d REAL,
+    volume_7d REAL,
+    volume_30d REAL,
+    sales_1d REAL,
+    color TEXT,
+    PRIMARY KEY (snapshot_id, collection_id)
+  );
+  CREATE INDEX IF NOT EXISTS snapshot_entries_collection ON snapshot_entries (collection_id, snapshot_id);
+
+  CREATE TABLE IF NOT EXISTS snapshot_rates (
+    snapshot_id INTEGER NOT NULL REFERENCES snapshots (id) ON DELETE CASCADE,
+    currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    PRIMARY KEY (snapshot_id, currency)
+  );
+
+  CREATE TABLE IF NOT EXISTS render_fingerprints (
+    board TEXT NOT NULL,
+    token_id INTEGER NOT NULL,
+    fingerprint TEXT NOT NULL,
+    rendered_at INTEGER NOT NULL,
+    PRIMARY KEY (board, token_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS bindings (
+    token_id INTEGER PRIMARY KEY,
+    board TEXT NOT NULL,
+    collection_id TEXT NOT NULL,
+    image TEXT,
+    bound_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS bindings_board ON bindings (board);
+
+  CREATE TABLE IF NOT EXISTS job_runs (
+    id INTEGER PRIMARY KEY,
+    job TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    finished_at INTEGER NOT NULL,
+    duration_ms INTEGER NOT NULL,
+    outcome TEXT NOT NULL,
+    collections INTEGER NOT NULL DEFAULT 0,
+    error TEXT
+  );
+  CREATE INDEX IF NOT EXISTS job_runs_job_time ON job_runs (job, started_at);
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+function toEntry(row) {
+  return {
+    collectionId: row.collection_id,
+    chain: row.chain,
+    name: row.name,
+    rank: row.rank,
+    floor: row.floor,
+    volume: { '1day': row.volume_1d, '7day': row.volume_7d, '30day': row.volume_30d },
+    sales: { '1day': row.sales_1d },
+    color: row.color
+  };
+}
+
+function toBinding(row) {
+  return {
+    tokenId: row.token_id,
+    board: row.board,
+    collectionId: row.collection_id,
+    image: row.image,
+    boundAt: row.bound_at
+  };
+}
+
+function openStore(file = DATABASE_FILE) {
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const insertSnapshot = db.prepare('INSERT INTO snapshots (board, taken_at) VALUES (?, ?)');
+  const insertEntry = db.prepare(`
+    INSERT INTO snapshot_entries
+      (snapshot_id, collection_id, chain, name, rank, floor, volume_1d, volume_7d, volume_30d, sales_1d, color)
+    VALUES
+      (@snapshotId, @collectionId, @chain, @name, @rank, @floor, @volume1d, @volume7d, @volume30d, @sales1d, @color)
+  `);
+  const insertRate = db.prepare('INSERT INTO snapshot_rates (snapshot_id, currency, rate) VALUES (?, ?, ?)');
+  const selectRates = db.prepare('SELECT currency, rate FROM snapshot_rates WHERE snapshot_id = ?');
+  const selectLatest = db.prepare('SELECT * FROM snapshots WHERE board = ? ORDER BY taken_at DESC LIMIT 1');
+  const selectNear = db.prepare(`
+    SELECT * FROM snapshots
+    WHERE board = @board AND taken_at BETWEEN @target - @tolerance AND @target + @tolerance
+    ORDER BY ABS(taken_at - @target)
+    LIMIT 1
+  `);
+  const selectAt = db.prepare('SELECT * FROM snapshots WHERE board = ? AND taken_at <= ? ORDER BY taken_at DESC LIMIT 1');
+  const selectBetween = db.prepare(`
+    SELECT * FROM snapshots WHERE board = @board AND taken_at BETWEEN @from AND @to ORDER BY taken_at
+  `);
+  const selectHistory = db.prepare(`
+    SELECT s.taken_at, e.*
+    FROM snapshot_entries e
+    JOIN snapshots s ON s.id = e.snapshot_id
+    WHERE s.board = @board AND e.collection_id = @collectionId AND s.taken_at BETWEEN @from AND @to
+    ORDER BY s.taken_at
+  `);
+  const selectLastEntry = db.prepare(`
+    SELECT s.taken_at, e.*
+    FROM snapshot_entries e
+    JOIN snapshots s ON s.id = e.snapshot_id
+    WHERE s.board = ? AND e.collection_id = ?
+    ORDER BY s.taken_at DESC
+    LIMIT 1
+  `);
+  const selectEntries = db.prepare('SELECT * FROM snapshot_entries WHERE snapshot_id = ? ORDER BY rank');
+  const selectFingerprints = db.prepare('SELECT token_id, fingerprint FROM render_fingerprints WHERE board = ?');
+  const selectFingerprint = db.prepare('SELECT fingerprint FROM render_fingerprints WHERE board = ? AND token_id = ?');
+  const upsertFingerprint = db.prepare(`
+    INSERT OR REPLACE INTO render_fingerprints (board, token_id, fingerprint, rendered_at) VALUES (?, ?, ?, ?)
+  `);
+  const selectBinding = db.prepare('SELECT * FROM bindings WHERE token_id = ?');
+  const selectBindings = db.prepare('SELECT * FROM bindings ORDER BY token_id');
+  const selectBoardBindings = db.prepare('SELECT * FROM bindings WHERE board = ? ORDER BY token_id');
+  const upsertBinding = db.prepare(`
+    INSERT OR REPLACE INTO bindings (token_id, board, collection_id, image, bound_at)
+    VALUES (@tokenId, @board, @collectionId, NULL, @boundAt)
+  `);
+  const updateBindingImage = db.prepare('UPDATE bindings SET image = ? WHERE token_id = ?');
+  const deleteBinding = db.prepare('DELETE FROM bindings WHERE token_id = ?');
+  const deleteFingerprint = db.prepare('DELETE FROM render_fingerprints WHERE board = ? AND token_id = ?');
+  const insertJobRun = db.prepare(`
+    INSERT INTO job_runs (job, started_at, finished_at, duration_ms, outcome, collections, error)
+    VALUES (@job, @startedAt, @finishedAt, @durationMs, @outcome, @collections, @error)
+  `);
+  const trimJobRuns = db.prepare(`
+    DELETE FROM job_runs WHERE job = ? AND id NOT IN (
+      SELECT id FROM job_runs WHERE job = ? ORDER BY started_at DESC LIMIT ?
+    )
+  `);
+  const selectJobRuns = db.prepare('SELECT * FROM job_runs WHERE job = ? ORDER BY started_at DESC LIMIT ?');
+  const getMeta = db.prepare('SELECT value FROM meta WHERE key = ?');
+  const setMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+
+  function loadSnapshot(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      board: row.board,
+      takenAt: row.taken_at,
+      rates: Object.fromEntries(selectRates.all(row.id).map(rate => [rate.currency, rate.rate])),
+      entries: selectEntries.all(row.id).map(toEntry)
+    };
+  }
+
+  // entries: [{ collectionId, chain, name, rank, floor, volume, sales, color }]
+  // rates: { USD: 1.23, ... }, the value of one unit of the board's currency
+  const recordSnapshot = db.transaction((board, takenAt, entries, rates = {}) => {
+    const snapshotId = insertSnapshot.run(board, Math.floor(takenAt)).lastInsertRowid;
+    for (const entry of entries) {
+      insertEntry.run({
+        snapshotId,
+        collectionId: entry.collectionId,
+        chain: entry.chain || null,
+        name: entry.name || null,
+        rank: entry.rank,
+        floor: entry.floor ?? null,
+        volume1d: entry.volume?.['1day'] ?? null,
+        volume7d: entry.volume?.['7day'] ?? null,
+        volume30d: entry.volume?.['30day'] ?? null,
+        sales1d: entry.sales?.['1day'] ?? null,
+        color: entry.color || null
+      });
+    }
+    for (const [currency, rate] of Object.entries(rates)) {
+      insertRate.run(snapshotId, currency, rate);
+    }
+    return snapshotId;
+  });
+
+  function latestSnapshot(board) {
+    return loadSnapshot(selectLatest.get(board));
+  }
+
+  // Snapshot closest to `target`, if one was taken within `tolerance` of it.
+  function snapshotNear(board, target, tolerance) {
+    return loadSnapshot(selectNear.get({ board, target: Math.floor(target), tolerance: Math.floor(tolerance) }));
+  }
+
+  // Most recent snapshot taken at or before `at`.
+  function snapshotAt(board, at) {
+    return loadSnapshot(selectAt.get(board, Math.floor(at)));
+  }
+
+  // Snapshots taken between `from` and `to`, oldest first, each loading its
+  // entries only when asked for so long ranges can be streamed.
+  function snapshotsBetween(board, from, to) {
+    return selectBetween.all({ board, from: Math.floor(from), to: Math.floor(to) }).map(row => ({
+      id: row.id,
+      board: row.board,
+      takenAt: row.taken_at,
+      load: () => loadSnapshot(row)
+    }));
+  }
+
+  // Every stored data point for one collection between `from` and `to`, oldest first.
+  function collectionHistory(board, collectionId, from, to) {
+    return selectHistory.all({ board, collectionId, from: Math.floor(from), to: Math.floor(to) })
+      .map(row => ({ takenAt: row.taken_at, ...toEntry(row) }));
+  }
+
+  // The most recent stored entry for one collection, whenever it was taken.
+  function lastEntry(board, collectionId) {
+    const row = selectLastEntry.get(board, collectionId);
+    return row ? { takenAt: row.taken_at, ...toEntry(row) } : null;
+  }
+
+  // Keeps the earliest snapshot in each bucket older than `before`.
+  function thin(board, before, bucket) {
+    db.prepare(`
+      DELETE FROM snapshots
+      WHERE board = @board AND taken_at < @before AND id NOT IN (
+        SELECT MIN(id) FROM snapshots
+        WHERE board = @board AND taken_at < @before
+        GROUP BY CAST(taken_at / @bucket AS INTEGER)
+      )
+    `).run({ board, before, bucket });
+  }
+
+  const prune = db.transaction((board, now) => {
+    db.prepare('DELETE FROM snapshots WHERE board = ? AND taken_at < ?').run(board, now - RETENTION.total);
+    thin(board, now - RETENTION.hourly, DAY);
+    thin(board, now - RETENTION.raw, HOUR);
+  });
+
+  function renderFingerprints(board) {
+    return new Map(selectFingerprints.all(board).map(row => [row.token_id, row.fingerprint]));
+  }
+
+  function renderFingerprint(board, tokenId) {
+    return selectFingerprint.get(board, tokenId)?.fingerprint || null;
+  }
+
+  function setRenderFingerprint(board, tokenId, fingerprint, renderedAt) {
+    upsertFingerprint.run(board, tokenId, fingerprint, Math.floor(renderedAt));
+  }
+
+  function binding(tokenId) {
+    const row = selectBinding.get(tokenId);
+    return row ? toBinding(row) : null;
+  }
+
+  function bindings(board) {
+    return (board ? selectBoardBindings.all(board) : selectBindings.all()).map(toBinding);
+  }
+
+  // Binding a token again replaces its collection; its render fingerprint is
+  // dropped so the next render cannot be skipped.
+  const bindToken = db.transaction(({ tokenId, board, collectionId, boundAt }) => {
+    upsertBinding.run({ tokenId, board, collectionId, boundAt: Math.floor(boundAt) });
+    deleteFingerprint.run('bound', tokenId);
+  });
+
+  const unbindToken = db.transaction(tokenId => {
+    deleteFingerprint.run('bound', tokenId);
+    return deleteBinding.run(tokenId).changes > 0;
+  });
+
+  function setBindingImage(tokenId, image) {
+    updateBindingImage.run(image || null, tokenId);
+  }
+
+  // Keeps the most recent JOB_RUN_HISTORY runs per job.
+  const recordJobRun = db.transaction(run => {
+    insertJobRun.run({
+      job: run.job,
+      startedAt: Math.floor(run.startedAt),
+      finishedAt: Math.floor(run.finishedAt),
+      durationMs: Math.round(run.finishedAt - run.startedAt),
+      outcome: run.outcome,
+      collections: run.collections || 0,
+      error: run.error || null
+    });
+    trimJobRuns.run(run.job, run.job, JOB_RUN_HISTORY);
+  });
+
+  function jobRuns(job, limit = 50) {
+    return selectJobRuns.all(job, limit).map(row => ({
+      job: row.job,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+      outcome: row.outcome,
+      collections: row.collections,
+      error: row.error
+    }));
+  }
+
+  function getMetaValue(key) {
+    const row = getMeta.get(key);
+    return row ? row.value : null;
+  }
+
+  function setMetaValue(key, value) {
+    setMeta.run(key, value);
+  }
+
+  return {
+    db,
+    recordSnapshot,
+    latestSnapshot,
+    snapshotNear,
+    snapshotAt,
+    snapshotsBetween,
+    collectionHistory,
+    lastEntry,
+    prune,
+    renderFingerprints,
+    renderFingerprint,
+    setRenderFingerprint,
+    binding,
+    bindings,
+    bindToken,
+    unbindToken,
+    setBindingImage,
+    recordJobRun,
+    jobRuns,
+    getMeta: getMetaValue,
+    setMeta: setMetaValue,
+    close: () => db.close()
+  };
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// One-time import of the JSON state files written before the store existed:
+// each board's previous_rankings.json/previous_colors.json, plus the
+// rankings_history.json array kept by 24hr_check.js for the default board.
+// Returns false if the import had already been done.
+function migrateLegacyState(store, boards, historyFile = path.join(__dirname, '..', 'rankings_history.json')) {
+  if (store.getMeta('legacy_migrated')) return false;
+
+  const migrate = store.db.transaction(() => {
+    for (const board of boards) {
+      const rankingsFile = path.join(board.stateDir, 'previous_rankings.json');
+      const rankings = readJson(rankingsFile);
+      if (!rankings) continue;
+      const colors = readJson(path.join(board.stateDir, 'previous_colors.json')) || {};
+      const entries = Object.entries(rankings).map(([collectionId, rank]) => ({
+        collectionId,
+        rank,
+        color: colors[collectionId]
+      }));
+      store.recordSnapshot(board.key, fs.statSync(rankingsFile).mtimeMs, entries);
+      console.log(`Migrated ${entries.length} rankings for ${board.key} from ${rankingsFile}`);
+    }
+
+    const history = readJson(historyFile);
+    const defaultBoard = boards.find(board => board.rootRoute) || boards[0];
+    if (Array.isArray(history) && defaultBoard) {
+      for (const snapshot of history) {
+        const entries = Object.entries(snapshot.rankings || {}).map(([collectionId, rank]) => ({ collectionId, rank }));
+        store.recordSnapshot(defaultBoard.key, snapshot.timestamp * 1000, entries);
+      }
+      console.log(`Migrated ${history.length} snapshots for ${defaultBoard.key} from ${historyFile}`);
+    }
+
+    store.setMeta('legacy_migrated', new Date().toISOString());
+  });
+  migrate();
+  return true;
+}
+
+module.exports = { openStore, migrateLegacyState, DATABASE_FILE };
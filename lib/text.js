@@ -0,0 +1,83 @@
+const ELLIPSIS = '…';
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// User-perceived characters, so emoji and combining marks are never split.
+function graphemes(text) {
+  return Array.from(segmenter.segment(text), segment => segment.segment);
+}
+
+// Cuts `text` to at most `length` graphemes, ending in an ellipsis if cut.
+function truncate(text, length) {
+  const chars = graphemes(text);
+  if (chars.length <= length) return text;
+  return chars.slice(0, Math.max(0, length - 1)).join('') + ELLIPSIS;
+}
+
+// 1234 -> "1.2K", 3400000 -> "3.4M".
+function formatCompact(value, digits = 1) {
+  return new Intl.NumberFormat('en-US', {
+    notation: 'compact',
+    maximumFractionDigits: digits
+  }).format(value);
+}
+
+function fontSize(font) {
+  const match = /(\d+(?:\.\d+)?)px/.exec(font);
+  return match ? Number(match[1]) : null;
+}
+
+// Largest size, stepping down from the font's own, at which `text` fits
+// in `maxWidth`, but never below `minSize`. Returns the font string.
+function fitFont(ctx, text, font, maxWidth, minSize = 10) {
+  let size = fontSize(font);
+  if (size === null) return font;
+  ctx.font = font;
+  while (size > minSize && ctx.measureText(text).width > maxWidth) {
+    size -= 1;
+    ctx.font = font.replace(/\d+(?:\.\d+)?px/, `${size}px`);
+  }
+  return ctx.font;
+}
+
+// Measures with the context's current font; drops graphemes from the end
+// until the text plus an ellipsis fits.
+function ellipsize(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  const chars = graphemes(text);
+  while (chars.length && ctx.measureText(chars.join('') + ELLIPSIS).width > maxWidth) chars.pop();
+  return chars.join('').trimEnd() + ELLIPSIS;
+}
+
+// Greedy word wrap into at most `maxLines` lines of `maxWidth`; words wider
+// than a line are broken between graphemes and the last line is ellipsized
+// if text is left over.
+function wrapText(ctx, text, maxWidth, maxLines = 2) {
+  const fits = candidate => ctx.measureText(candidate).width <= maxWidth;
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (fits(candidate)) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = '';
+    for (const char of graphemes(word)) {
+      if (line && !fits(line + char)) {
+        lines.push(line);
+        line = '';
+      }
+      line += char;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = ellipsize(ctx, `${kept[maxLines - 1]} ${lines[maxLines]}`, maxWidth);
+  return kept;
+}
+
+module.exports = { graphemes, truncate, formatCompact, fontSize, fitFont, ellipsize, wrapText };
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const THEMES_DIR = process.env.THEMES_DIR || path.join(__dirname, '..', 'themes');
+const LAYER_TYPES = ['image', 'text', 'rect', 'sparkline', 'logo'];
+
+// A theme is a JSON file in themes/ describing a canvas size and a list of
+// layers drawn in order:
+//
+//   image      src, x, y, width, height  (src is relative to assets/)
+//   text       text, x, y, font, fill, align, maxWidth, minSize,
+//              wrap, maxLines, lineHeight
+//   rect       x, y, width, height, fill, stroke, lineWidth
+//   sparkline  x, y, width, height, stroke, lineWidth
+//   logo       x, y, size, stroke, lineWidth, placeholderFill, placeholderText
+//
+// String properties may bind data with {field}; {field:N} formats numbers
+// with N decimals and cuts strings to N graphemes; {field:c} formats
+// numbers compactly (1.2K). Fonts come from assets/fonts.
+// A layer's `when` ({ field: value | [values] }) decides whether it is drawn
+// at all, and each entry in `variants` is { when, ...overrides } applied on
+// top of the layer when its condition matches, e.g. to restyle by movement.
+function validateLayer(layer, index, name) {
+  if (!LAYER_TYPES.includes(layer.type)) {
+    throw new Error(`Theme ${name} layer ${index} has unknown type: ${layer.type}`);
+  }
+  if (layer.type === 'image' && !layer.src) {
+    throw new Error(`Theme ${name} layer ${index} is an image without src`);
+  }
+  if (layer.type === 'text' && layer.text === undefined) {
+    throw new Error(`Theme ${name} layer ${index} is a text layer without text`);
+  }
+  if (layer.type === 'text' && layer.wrap && !(layer.maxWidth > 0)) {
+    throw new Error(`Theme ${name} layer ${index} wraps text without a maxWidth`);
+  }
+  for (const variant of layer.variants || []) {
+    if (!variant.when) throw new Error(`Theme ${name} layer ${index} has a variant without when`);
+  }
+}
+
+const themes = new Map();
+
+function loadTheme(name) {
+  if (themes.has(name)) return themes.get(name);
+  if (!/^[a-z0-9-]+$/.test(name)) throw new Error(`Invalid theme name: ${name}`);
+
+  const file = path.join(THEMES_DIR, `${name}.json`);
+  const source = fs.readFileSync(file, 'utf8');
+  const theme = JSON.parse(source);
+  if (!(theme.width > 0) || !(theme.height > 0)) {
+    throw new Error(`Theme ${name} needs a positive width and height`);
+  }
+  if (!Array.isArray(theme.layers)) throw new Error(`Theme ${name} has no layers`);
+  theme.layers.forEach((layer, index) => validateLayer(layer, index, name));
+
+  // The content hash lets renders notice theme edits even without a version bump.
+  const hash = crypto.createHash('sha1').update(source).digest('hex');
+  const loaded = { ...theme, name, version: theme.version || 1, hash };
+  themes.set(name, loaded);
+  return loaded;
+}
+
+module.exports = { loadTheme, THEMES_DIR };
@@ -0,0 +1,119 @@
+const http = require('http');
+const clock = require('./clock');
+
+class ValidationError extends Error {}
+
+// Rules take the raw value (always present) and the parameter name, and
+// return the parsed value or throw a ValidationError. Express hands over
+// repeated or bracketed query parameters as arrays and objects, and JSON
+// bodies may hold anything; only plain strings pass.
+function text(value, name) {
+  if (typeof value !== 'string') throw new ValidationError(`${name} must be a string`);
+  return value;
+}
+
+function integer({ min = -Infinity, max = Infinity } = {}) {
+  return (value, name) => {
+    const parsed = /^-?\d+$/.test(text(value, name)) ? Number(value) : NaN;
+    if (!Number.isSafeInteger(parsed)) throw new ValidationError(`${name} must be an integer`);
+    if (parsed < min || parsed > max) {
+      throw new ValidationError(`${name} must be ${max === Infinity ? `at least ${min}` : `between ${min} and ${max}`}`);
+    }
+    return parsed;
+  };
+}
+
+function string({ maxLength = 256, pattern = null, trim = false } = {}) {
+  return (value, name) => {
+    const parsed = trim ? text(value, name).trim() : text(value, name);
+    if (!parsed) throw new ValidationError(`${name} must not be empty`);
+    if (parsed.length > maxLength) throw new ValidationError(`${name} must be at most ${maxLength} characters`);
+    if (pattern && !pattern.test(parsed)) throw new ValidationError(`${name} is not valid`);
+    return parsed;
+  };
+}
+
+// Unix seconds, milliseconds or ISO 8601, as epoch milliseconds.
+function time() {
+  return (value, name) => {
+    const parsed = clock.parseTime(text(value, name));
+    if (parsed === null || Number.isNaN(parsed)) throw new ValidationError(`Invalid "${name}" timestamp`);
+    return parsed;
+  };
+}
+
+function oneOf(values) {
+  return (value, name) => {
+    if (!values.includes(text(value, name))) {
+      throw new ValidationError(`${name} must be ${values.map(v => `"${v}"`).join(' or ')}`);
+    }
+    return value;
+  };
+}
+
+// Marks a rule as mandatory; any other rule is skipped when its value is
+// missing or empty.
+function required(rule) {
+  return Object.assign((value, name) => rule(value, name), { required: true });
+}
+
+function check(rules, source, name) {
+  const parsed = {};
+  for (const [key, rule] of Object.entries(rules)) {
+    const value = source ? source[key] : undefined;
+    if (value === undefined || value === '') {
+      if (rule.required) throw new ValidationError(`${key} is required`);
+      continue;
+    }
+    parsed[key] = rule(value, key);
+  }
+  return parsed;
+}
+
+// validate({ params, query, body }) checks each part of the request against
+// its rules and leaves the parsed values, merged, on req.input. Parameters
+// without a rule are ignored.
+function validate(schema) {
+  return (req, res, next) => {
+    try {
+      if (schema.body && (typeof req.body !== 'object' || req.body === null || Array.isArray(req.body))) {
+        throw new ValidationError('Request body must be a JSON object');
+      }
+      req.input = {
+        ...check(schema.params || {}, req.params),
+        ...check(schema.query || {}, req.query),
+        ...check(schema.body || {}, req.body)
+      };
+    } catch (error) {
+      if (!(error instanceof ValidationError)) return next(error);
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  };
+}
+
+function notFound(req, res) {
+  res.status(404).json({ error: 'Not found' });
+}
+
+// Last in the chain: errors thrown by routes and middleware (including body
+// parsing) become JSON. Only errors marked safe to expose keep their message.
+function handleErrors(error, req, res, next) {
+  if (res.headersSent) return next(error);
+  const code = error.status || error.statusCode;
+  const status = code >= 400 && code < 600 ? code : 500;
+  if (status >= 500) console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  res.status(status).json({ error: status < 500 && error.expose ? error.message : http.STATUS_CODES[status] });
+}
+
+module.exports = {
+  ValidationError,
+  integer,
+  string,
+  time,
+  oneOf,
+  required,
+  validate,
+  notFound,
+  handleErrors
+};
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const clock = require('../lib/clock');
+const { rateLimit } = require('../lib/access');
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Sends one request from `client` through the limiter; returns the response,
+// with passed set when the limiter let it through.
+function send(limiter, client) {
+  const res = response();
+  limiter({ client }, res, () => { res.passed = true; });
+  return res;
+}
+
+test('limits each client per window and resets on real time while the clock is pinned', t => {
+  let now = Date.UTC(2026, 0, 1);
+  t.mock.method(Date, 'now', () => now);
+  t.after(() => clock.unpin());
+  clock.pin(Date.UTC(2020, 0, 1));
+  const limiter = rateLimit({ windowMs: 60 * 1000, perIp: 2, perKey: 3 });
+  const ip = { id: 'ip:1.2.3.4', keyed: false };
+  const key = { id: 'key:a', keyed: true };
+
+  assert.equal(send(limiter, ip).headers['RateLimit-Remaining'], '1');
+  assert.equal(send(limiter, ip).passed, true);
+  const limited = send(limiter, ip);
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.passed, undefined);
+  assert.equal(limited.headers['Retry-After'], '60');
+  assert.equal(send(limiter, key).passed, true);
+
+  now += 30 * 1000;
+  assert.equal(send(limiter, ip).headers['Retry-After'], '30');
+  now += 30 * 1000;
+  const reset = send(limiter, ip);
+  assert.equal(reset.passed, true);
+  assert.equal(reset.headers['RateLimit-Remaining'], '1');
+});
+
+test('a limit of 0 turns limiting off', () => {
+  const limiter = rateLimit({ perIp: 0 });
+  for (let i = 0; i < 5; i++) assert.equal(send(limiter, { id: 'ip:1.2.3.4', keyed: false }).passed, true);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore } = require('../lib/store');
+const { resolveBinding } = require('../lib/bindings');
+
+const board = { key: 'eth/volume', size: 50, chain: { id: 'ethereum' }, colorWindow: { id: '24h' } };
+
+test('resolves a bound collection that is ranked', () => {
+  const store = openStore(':memory:');
+  const collections = [
+    { id: '0xa', rank: 1, color: 'green', movements: { '24h': { movement: 'up' } } },
+    { id: '0xb', rank: 2, color: 'red' }
+  ];
+
+  const view = resolveBinding(board, { collectionId: '0xb' }, collections, store);
+  assert.deepEqual([view.state, view.rank, view.rankLabel, view.movement], ['ranked', 2, '2', 'same']);
+  assert.equal(resolveBinding(board, { collectionId: '0xa' }, collections, store).movement, 'up');
+  store.close();
+});
+
+test('labels a collection out of the ranking by the ranking it dropped out of', () => {
+  const store = openStore(':memory:');
+  store.recordSnapshot('eth/volume', 1000, [{ collectionId: '0xc', rank: 3, chain: 'ethereum', name: 'C', floor: 2 }]);
+  const collections = [{ id: '0xa', rank: 1 }, { id: '0xb', rank: 2 }];
+
+  const view = resolveBinding(board, { collectionId: '0xc', image: 'https://example.com/c.png' }, collections, store);
+  assert.equal(view.state, 'out');
+  assert.equal(view.rankLabel, 'Out of top 2');
+  assert.equal(view.lastRankedAt, 1000);
+  assert.deepEqual([view.collection.name, view.collection.floor, view.collection.image], ['C', 2, 'https://example.com/c.png']);
+
+  const unknown = resolveBinding(board, { collectionId: '0xd' }, [], store);
+  assert.equal(unknown.rankLabel, 'Out of top 50');
+  assert.deepEqual([unknown.collection.name, unknown.collection.chain, unknown.lastRankedAt], ['0xd', 'ethereum', null]);
+  store.close();
+});
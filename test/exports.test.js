@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { openStore } = require('../lib/store');
+const { COLUMNS, exportFormat, snapshotRows, historyRows, writeRows } = require('../lib/exports');
+
+const HOUR = 60 * 60 * 1000;
+const board = { key: 'ethereum/volume', currency: 'ETH' };
+
+function entry(collectionId, rank, extra = {}) {
+  return {
+    collectionId,
+    rank,
+    chain: 'ethereum',
+    name: collectionId.toUpperCase(),
+    floor: 1,
+    volume: { '1day': 10, '7day': 70, '30day': null },
+    sales: { '1day': 2 },
+    color: 'green',
+    ...extra
+  };
+}
+
+// A writable that takes a while to accept each chunk, so its buffer fills.
+function slowSink(highWaterMark = 64) {
+  const chunks = [];
+  const stream = new Writable({
+    highWaterMark,
+    write(chunk, encoding, callback) {
+      chunks.push(String(chunk));
+      setImmediate(callback);
+    }
+  });
+  return { stream, text: () => chunks.join('') };
+}
+
+test('looks formats up by name only', () => {
+  assert.equal(exportFormat().contentType, 'text/csv; charset=utf-8');
+  assert.equal(exportFormat('ndjson').contentType, 'application/x-ndjson');
+  assert.equal(exportFormat('xml'), null);
+  assert.equal(exportFormat('constructor'), null);
+});
+
+test('escapes CSV fields and defuses formulas', () => {
+  const csv = exportFormat('csv');
+  assert.equal(csv.header, `${COLUMNS.join(',')}\r\n`);
+  const line = csv.line({ name: '=HYPERLINK("x")', board: 'a,b', rank: -1, chain: '@x', color: null, currency: 'line\nbreak' });
+  const fields = Object.fromEntries(COLUMNS.map(column => [column, '']));
+  Object.assign(fields, {
+    name: '"\'=HYPERLINK(""x"")"',
+    board: '"a,b"',
+    rank: '-1',
+    chain: "'@x",
+    currency: '"line\nbreak"'
+  });
+  assert.equal(line, `${COLUMNS.map(column => fields[column]).join(',')}\r\n`);
+  assert.equal(exportFormat('ndjson').line({ name: 'a"b' }), '{"name":"a\\"b"}\n');
+});
+
+test('gives each row its movement against the previous snapshot', () => {
+  const previous = { takenAt: 0, entries: [entry('a', 1), entry('b', 2), entry('c', 3)] };
+  const snapshot = { takenAt: Date.UTC(2026, 0, 1), entries: [entry('b', 1), entry('a', 2), entry('c', 3), entry('d', 4)] };
+
+  const rows = [...snapshotRows(board, snapshot, previous)];
+  assert.deepEqual(rows.map(row => [row.collectionId, row.previousRank, row.movement]), [
+    ['b', 2, 'up'],
+    ['a', 1, 'down'],
+    ['c', 3, 'same'],
+    ['d', null, 'new']
+  ]);
+  assert.deepEqual(rows[0], {
+    takenAt: '2026-01-01T00:00:00.000Z',
+    board: 'ethereum/volume',
+    rank: 1,
+    collectionId: 'b',
+    chain: 'ethereum',
+    name: 'B',
+    floor: 1,
+    volume1d: 10,
+    volume7d: 70,
+    volume30d: null,
+    sales1d: 2,
+    currency: 'ETH',
+    previousRank: 2,
+    movement: 'up',
+    color: 'green'
+  });
+  assert.deepEqual([...snapshotRows(board, snapshot, null, 'c')].map(row => row.movement), ['new']);
+});
+
+test('streams history rows, comparing the first snapshot with the one before the range', () => {
+  const store = openStore(':memory:');
+  store.recordSnapshot(board.key, 1 * HOUR, [entry('a', 1), entry('b', 2)]);
+  store.recordSnapshot(board.key, 2 * HOUR, [entry('b', 1), entry('a', 2)]);
+  store.recordSnapshot(board.key, 3 * HOUR, [entry('a', 1), entry('b', 2)]);
+
+  const rows = [...historyRows(store, board, { from: 2 * HOUR, to: 3 * HOUR, collectionId: 'a' })];
+  assert.deepEqual(rows.map(row => [row.takenAt, row.rank, row.movement]), [
+    [new Date(2 * HOUR).toISOString(), 2, 'down'],
+    [new Date(3 * HOUR).toISOString(), 1, 'up']
+  ]);
+  assert.deepEqual([...historyRows(store, board, { from: 4 * HOUR, to: 5 * HOUR })], []);
+  store.close();
+});
+
+test('writes every row through backpressure', async () => {
+  const sink = slowSink();
+  const rows = Array.from({ length: 50 }, (_, i) => ({ name: `collection ${i}` }));
+  const count = await writeRows(sink.stream, exportFormat('ndjson'), rows);
+  await new Promise(resolve => sink.stream.end(resolve));
+  assert.equal(count, 50);
+  assert.deepEqual(sink.text().trim().split('\n').map(line => JSON.parse(line)), rows);
+});
+
+test('stops writing once the stream is closed', async () => {
+  const sink = slowSink();
+  function* rows() {
+    for (let i = 0; ; i++) {
+      if (i === 10) sink.stream.destroy();
+      yield { name: `collection ${i}` };
+    }
+  }
+  const count = await writeRows(sink.stream, exportFormat('csv'), rows());
+  assert.ok(count <= 10, `wrote ${count} rows`);
+});
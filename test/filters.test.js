@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFilterDefaults, resolveFilters, createScreen, flagTraits } = require('../lib/filters');
+
+const NONE = resolveFilters({}, {});
+
+function collection(id, overrides = {}) {
+  return {
+    id,
+    chain: 'ethereum',
+    name: id.toUpperCase(),
+    floor: 1,
+    owners: 500,
+    sales: { '1day': 20 },
+    volume: { '1day': 30, '7day': 180 },
+    ...overrides
+  };
+}
+
+function screen(rules, collections) {
+  const screening = createScreen(rules, 'ethereum/volume');
+  const kept = screening.screen(collections);
+  return { kept, report: screening.report() };
+}
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('board filters override thresholds and add to the default lists', () => {
+  const defaults = { blocklist: ['0xAA'], allowlist: [], minSales: 2, minOwners: 10, maxVolumeToFloor: 50, spike: null };
+  const rules = resolveFilters({ blocklist: ['ethereum:0xBB'], minOwners: 3, spike: { factor: 5 } }, defaults);
+  assert.deepEqual([...rules.blocklist], ['0xaa', 'ethereum:0xbb']);
+  assert.equal(rules.minSales, 2);
+  assert.equal(rules.minOwners, 3);
+  assert.equal(rules.maxVolumeToFloor, 50);
+  assert.deepEqual(rules.spike, { factor: 5, exclude: false });
+
+  const off = resolveFilters(false, defaults);
+  assert.equal(off.blocklist.size, 0);
+  assert.equal(off.minSales, 0);
+  assert.equal(off.maxVolumeToFloor, null);
+});
+
+test('the shipped defaults leave every collection in place', () => {
+  const rules = resolveFilters({}, loadFilterDefaults());
+  const collections = [
+    collection('a', { sales: { '1day': 0 }, owners: 1 }),
+    collection('b', { volume: { '1day': 5000, '7day': 5000 } })
+  ];
+  const { kept, report } = screen(rules, collections);
+  assert.deepEqual(kept.map(c => [c.id, c.flags]), [['a', []], ['b', []]]);
+  assert.deepEqual(report.excluded, []);
+});
+
+test('excludes blocklisted, thinly traded and wash-traded collections', () => {
+  const rules = resolveFilters({
+    blocklist: ['0xBLOCKED', 'polygon:0xother'],
+    minSales: 2,
+    minOwners: 10,
+    maxVolumeToFloor: 50
+  }, NONE);
+  const { kept, report } = screen(rules, [
+    collection('0xblocked'),
+    collection('0xother'),
+    collection('0xfew-sales', { sales: { '1day': 1 } }),
+    collection('0xfew-owners', { owners: 4 }),
+    collection('0xwash', { sales: { '1day': 2 }, volume: { '1day': 120, '7day': 700 } }),
+    collection('0xgood')
+  ]);
+
+  assert.deepEqual(kept.map(c => c.id), ['0xother', '0xgood']);
+  assert.deepEqual(kept[1].flags, []);
+  assert.deepEqual(report.excluded.map(entry => [entry.id, entry.reason]), [
+    ['0xblocked', 'blocklist'],
+    ['0xfew-sales', 'min_sales'],
+    ['0xfew-owners', 'min_owners'],
+    ['0xwash', 'volume_to_floor']
+  ]);
+  assert.equal(report.excluded[3].detail, 'average sale is 60.0x the floor, maximum is 50x');
+});
+
+test('allowlisted collections skip every check', () => {
+  const rules = resolveFilters({ allowlist: ['ethereum:0xtiny'], minSales: 5, spike: { factor: 2, exclude: true } }, NONE);
+  const { kept, report } = screen(rules, [
+    collection('0xtiny', { sales: { '1day': 0 }, volume: { '1day': 50, '7day': 50 } })
+  ]);
+  assert.deepEqual(kept.map(c => c.id), ['0xtiny']);
+  assert.deepEqual(report, { excluded: [], flagged: [] });
+});
+
+test('flags volume spikes, or excludes them when configured to', () => {
+  const spiking = [
+    collection('0xspike', { volume: { '1day': 100, '7day': 160 } }),
+    collection('0xfresh', { volume: { '1day': 100, '7day': 100 } }),
+    collection('0xsteady')
+  ];
+
+  const flagged = screen(resolveFilters({ spike: { factor: 10 } }, NONE), spiking);
+  assert.deepEqual(flagged.kept.map(c => [c.id, c.flags]), [
+    ['0xspike', ['volume_spike']],
+    ['0xfresh', ['volume_spike']],
+    ['0xsteady', []]
+  ]);
+  assert.equal(flagged.report.flagged[0].detail, '24h volume is 10.0x the prior daily average');
+  assert.equal(flagged.report.flagged[1].detail, '24h volume with no volume in the prior six days');
+  assert.deepEqual(flagTraits(flagged.kept[0]), [{ trait_type: 'Flag', value: 'Volume spike' }]);
+
+  const excluded = screen(resolveFilters({ spike: { factor: 10, exclude: true } }, NONE), spiking);
+  assert.deepEqual(excluded.kept.map(c => c.id), ['0xsteady']);
+  assert.deepEqual(excluded.report.excluded.map(entry => entry.reason), ['volume_spike', 'volume_spike']);
+});
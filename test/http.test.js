@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createHttpClient } = require('../lib/http');
+
+const COOLDOWN = 50;
+
+// A local upstream that answers each request with the next queued reply:
+// 'drop' destroys the socket (a network error), 'hang' never answers and a
+// number is a status code.
+async function startUpstream() {
+  const replies = [];
+  const server = http.createServer((req, res) => {
+    const reply = replies.shift() ?? 200;
+    if (reply === 'drop') return req.socket.destroy();
+    if (reply === 'hang') return;
+    if (reply === 429) res.setHeader('Retry-After', '0');
+    res.writeHead(reply, { 'content-type': 'application/json' });
+    res.end('{}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const host = `127.0.0.1:${server.address().port}`;
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { host, url: `http://${host}/`, replies, close };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function openCircuit(client, upstream) {
+  upstream.replies.push('drop');
+  await assert.rejects(client.request(upstream.url), { code: 'network' });
+  assert.equal(client.circuitState(upstream.host), 'open');
+  await assert.rejects(client.request(upstream.url), { code: 'circuit_open' });
+  await sleep(COOLDOWN + 10);
+  assert.equal(client.circuitState(upstream.host), 'half-open');
+}
+
+function createClient() {
+  return createHttpClient({ retries: 1, baseDelay: 1, failureThreshold: 1, cooldown: COOLDOWN, budgetPerMinute: 1000 });
+}
+
+test('a 429 during the half-open trial closes the circuit', async t => {
+  const upstream = await startUpstream();
+  t.after(upstream.close);
+  const client = createClient();
+
+  await openCircuit(client, upstream);
+  upstream.replies.push(429);
+  await assert.rejects(client.request(upstream.url), { code: 'rate_limited' });
+  assert.equal(client.circuitState(upstream.host), 'closed');
+
+  const response = await client.request(upstream.url);
+  assert.equal(response.status, 200);
+});
+
+test('an aborted half-open trial lets the next request try again', async t => {
+  const upstream = await startUpstream();
+  t.after(upstream.close);
+  const client = createClient();
+
+  await openCircuit(client, upstream);
+  upstream.replies.push('hang');
+  await assert.rejects(client.request(upstream.url, { signal: AbortSignal.timeout(20) }), { code: 'aborted' });
+  assert.equal(client.circuitState(upstream.host), 'half-open');
+
+  const response = await client.request(upstream.url);
+  assert.equal(response.status, 200);
+  assert.equal(client.circuitState(upstream.host), 'closed');
+});
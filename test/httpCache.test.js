@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sendCachedJson, staticCacheOptions } = require('../lib/httpCache');
+
+function response(req) {
+  return {
+    req,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    type() {
+      return this;
+    },
+    send(body) {
+      this.body = body;
+    },
+    end() {}
+  };
+}
+
+test('sends JSON with a content ETag and the given max-age', () => {
+  const res = response();
+  sendCachedJson({ fresh: false }, res, { a: 1 }, { lastModified: Date.UTC(2026, 0, 2), maxAge: 120 });
+  assert.equal(res.body, '{"a":1}');
+  assert.match(res.headers.ETag, /^"[0-9a-f]{64}"$/);
+  assert.equal(res.headers['Cache-Control'], 'public, max-age=120');
+  assert.equal(res.headers['Last-Modified'], 'Fri, 02 Jan 2026 00:00:00 GMT');
+
+  const cached = response();
+  sendCachedJson({ fresh: true }, cached, { a: 1 }, { maxAge: 120 });
+  assert.equal(cached.statusCode, 304);
+});
+
+test('caches static files per file unless the URL is versioned', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'token1.png');
+  fs.writeFileSync(file, 'png');
+  const maxAges = { [file]: 90 };
+  const { setHeaders } = staticCacheOptions(f => maxAges[f]);
+
+  const plain = response({ query: {} });
+  setHeaders(plain, file);
+  assert.equal(plain.headers['Cache-Control'], 'public, max-age=90');
+  assert.match(plain.headers.ETag, /^"[0-9a-f]{64}"$/);
+
+  const versioned = response({ query: { v: 'abc' } });
+  setHeaders(versioned, file);
+  assert.equal(versioned.headers['Cache-Control'], 'public, max-age=31536000, immutable');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore } = require('../lib/store');
+const { parseWindow, parseWindows, computeMovements, compareSnapshots, movementTraits } = require('../lib/movement');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function ranks(...ids) {
+  return ids.map((collectionId, index) => ({ collectionId, rank: index + 1 }));
+}
+
+test('parses lookback windows with a tolerance of 1/24th, at least 10 minutes', () => {
+  assert.deepEqual(parseWindow('24h'), { id: '24h', label: 'Δ24h', duration: DAY, tolerance: HOUR });
+  assert.equal(parseWindow('7d').tolerance, 7 * HOUR);
+  assert.equal(parseWindow('30m').tolerance, 10 * MINUTE);
+  assert.equal(parseWindow('last').duration, null);
+  assert.throws(() => parseWindow('2w'), /Invalid movement window/);
+  assert.deepEqual(parseWindows('last, 1h,,24h').map(window => window.id), ['last', '1h', '24h']);
+});
+
+test('computes movement per window against the matching snapshot', () => {
+  const store = openStore(':memory:');
+  const board = { key: 'eth/volume', size: 3 };
+  const now = 100 * DAY;
+  store.recordSnapshot(board.key, now - DAY - 20 * MINUTE, ranks('a', 'b', 'c'));
+  store.recordSnapshot(board.key, now - 5 * MINUTE, ranks('b', 'a', 'c'));
+  const windows = parseWindows('last,24h,7d');
+
+  const movements = computeMovements(store, board, [{ id: 'c' }, { id: 'a' }, { id: 'd' }], windows, now);
+
+  assert.deepEqual(movements.get('c'), {
+    last: { previousRank: 3, delta: 2, movement: 'up' },
+    '24h': { previousRank: 3, delta: 2, movement: 'up' }
+  });
+  assert.deepEqual(movements.get('a'), {
+    last: { previousRank: 2, delta: 0, movement: 'same' },
+    '24h': { previousRank: 1, delta: -1, movement: 'down' }
+  });
+  // New entries come in from just below the board.
+  assert.deepEqual(movements.get('d').last, { previousRank: null, delta: null, movement: 'up' });
+  store.close();
+});
+
+test('turns movements into traits for the windows that have them', () => {
+  const windows = parseWindows('last,24h,7d');
+  const traits = movementTraits({
+    last: { previousRank: 2, delta: 0, movement: 'same' },
+    '24h': { previousRank: 1, delta: -1, movement: 'down' },
+    '1h': { previousRank: null, delta: null, movement: 'up' }
+  }, windows);
+  assert.deepEqual(traits, [
+    { trait_type: 'ΔLast', value: '0' },
+    { trait_type: 'Δ24h', value: '−1' }
+  ]);
+  assert.deepEqual(movementTraits({ last: { previousRank: null, delta: null, movement: 'up' } }, windows), [
+    { trait_type: 'ΔLast', value: 'New' }
+  ]);
+});
+
+test('compares two snapshots into gainers, losers, new entries and dropouts', () => {
+  const current = { entries: ranks('c', 'a', 'd', 'b') };
+  const reference = { entries: ranks('a', 'b', 'c', 'e') };
+  const { gainers, losers, newEntries, dropouts } = compareSnapshots(current, reference);
+  assert.deepEqual(gainers.map(entry => [entry.collectionId, entry.previousRank, entry.delta]), [['c', 3, 2]]);
+  assert.deepEqual(losers.map(entry => [entry.collectionId, entry.delta]), [['b', -2], ['a', -1]]);
+  assert.deepEqual(newEntries.map(entry => entry.collectionId), ['d']);
+  assert.deepEqual(dropouts.map(entry => entry.collectionId), ['e']);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+// Where a fresh process would write, given the environment.
+function outputPaths(env) {
+  const script = `
+    const { DATABASE_FILE } = require('./lib/store');
+    const { IMAGES_DIR } = require('./lib/leaderboards');
+    const { storage } = require('./lib/storage');
+    console.log(JSON.stringify({ database: DATABASE_FILE, images: IMAGES_DIR, storage: storage.name }));
+  `;
+  const { UPSTREAM_MODE, REPLAY_DIR, DATABASE_FILE, STORAGE_DRIVER, ...rest } = process.env;
+  const output = execFileSync(process.execPath, ['-e', script], { cwd: ROOT, env: { ...rest, ...env }, stdio: ['ignore', 'pipe', 'ignore'] });
+  return JSON.parse(output.toString().trim().split('\n').pop());
+}
+
+test('replay mode writes under its own directory, not the live data', t => {
+  const recordings = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+  t.after(() => fs.rmSync(recordings, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(recordings, 'session-1'));
+  const live = { DATABASE_FILE: '/srv/live/rankings.db', STORAGE_DRIVER: 's3', S3_BUCKET: 'live' };
+  assert.deepEqual(outputPaths({ ...live, UPSTREAM_MODE: 'replay', RECORDINGS_DIR: recordings, REPLAY_DIR: '/tmp/replay-run' }), {
+    database: '/tmp/replay-run/rankings.db',
+    images: '/tmp/replay-run/images',
+    storage: 'local'
+  });
+  assert.deepEqual(outputPaths({ UPSTREAM_MODE: 'replay', RECORDINGS_DIR: recordings }), {
+    database: path.join(ROOT, 'replay', 'rankings.db'),
+    images: path.join(ROOT, 'replay', 'images'),
+    storage: 'local'
+  });
+  assert.deepEqual(outputPaths({ DATABASE_FILE: '/srv/live/rankings.db' }), {
+    database: '/srv/live/rankings.db',
+    images: path.join(ROOT, 'images'),
+    storage: 'local'
+  });
+});
@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const clock = require('../lib/clock');
+const { createScheduler, parseSchedule, nextCronTime, nextDueTime } = require('../lib/scheduler');
+
+const MINUTE = 60 * 1000;
+
+// Timers are captured rather than run, and jitter is zeroed, so a test can
+// read each delay and fire the next run itself. Firing a timer moves
+// Date.now() on by its delay.
+function fakeTimers(t) {
+  const timers = [];
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(global, 'setTimeout', (fn, delay) => {
+    const timer = { fn, delay };
+    timers.push(timer);
+    return timer;
+  });
+  t.mock.method(global, 'clearTimeout', timer => {
+    const index = timers.indexOf(timer);
+    if (index >= 0) timers.splice(index, 1);
+  });
+  t.mock.method(Math, 'random', () => 0.5);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  return {
+    timers,
+    async fire() {
+      const timer = timers.shift();
+      now += timer.delay;
+      timer.fn();
+      await settle();
+    }
+  };
+}
+
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function createStore() {
+  const runs = [];
+  return { runs, recordJobRun: run => runs.push(run) };
+}
+
+test('parses interval and cron schedules', () => {
+  assert.equal(parseSchedule('30s').every, 30 * 1000);
+  assert.equal(parseSchedule('5m').every, 5 * MINUTE);
+  assert.equal(parseSchedule('2d').every, 2 * 24 * 60 * MINUTE);
+
+  const { minutes, hours, days, months, weekdays } = parseSchedule('0,30 9-17/4 1 * 1-5').cron;
+  assert.deepEqual([...minutes], [0, 30]);
+  assert.deepEqual([...hours], [9, 13, 17]);
+  assert.deepEqual([...days], [1]);
+  assert.equal(months.size, 12);
+  assert.deepEqual([...weekdays], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseSchedule('0 0 * * 5-7').cron.weekdays].sort(), [0, 5, 6]);
+
+  for (const spec of ['0m', '5x', '* * * *', '60 * * * *', '* 24 * * *', '5-1 * * * *', '*/0 * * * *', '* * * * 8']) {
+    assert.throws(() => parseSchedule(spec), /Invalid/, spec);
+  }
+});
+
+test('finds the next cron match after a time, in local time', () => {
+  const { cron: quarterly } = parseSchedule('*/15 * * * *');
+  assert.equal(nextCronTime(quarterly, new Date(2026, 2, 6, 10, 7, 30).getTime()), new Date(2026, 2, 6, 10, 15).getTime());
+  assert.equal(nextCronTime(quarterly, new Date(2026, 2, 6, 10, 15).getTime()), new Date(2026, 2, 6, 10, 30).getTime());
+
+  // Friday 2026-03-06 after 9:00 -> Monday 2026-03-09 at 9:00.
+  const { cron: weekdays } = parseSchedule('0 9 * * 1-5');
+  assert.equal(nextCronTime(weekdays, new Date(2026, 2, 6, 9, 0).getTime()), new Date(2026, 2, 9, 9, 0).getTime());
+
+  // Day 7 is Sunday: Friday 2026-03-06 -> Sunday 2026-03-08.
+  const { cron: sundays } = parseSchedule('0 9 * * 7');
+  assert.equal(nextCronTime(sundays, new Date(2026, 2, 6, 9, 0).getTime()), new Date(2026, 2, 8, 9, 0).getTime());
+});
+
+test('runs on days matching either day field when both are restricted', () => {
+  // The 1st and 15th of the month, and every Monday.
+  const { cron: either } = parseSchedule('0 0 1,15 * 1');
+  let time = new Date(2026, 2, 1, 12, 0).getTime();
+  const days = [];
+  for (let i = 0; i < 5; i++) {
+    time = nextCronTime(either, time);
+    days.push(new Date(time).getDate());
+  }
+  assert.deepEqual(days, [2, 9, 15, 16, 23]);
+
+  // With one field left as "*" only the other restricts the day.
+  const { cron: weekly } = parseSchedule('0 0 */1 * 1');
+  assert.equal(nextCronTime(weekly, new Date(2026, 2, 1, 12, 0).getTime()), new Date(2026, 2, 2).getTime());
+  const { cron: monthly } = parseSchedule('0 0 15 * *');
+  assert.equal(nextCronTime(monthly, new Date(2026, 2, 1, 12, 0).getTime()), new Date(2026, 2, 15).getTime());
+});
+
+test('next due time counts from the last run until that is overdue', () => {
+  const every = parseSchedule('10m');
+  const start = new Date(2026, 2, 6, 10, 0).getTime();
+  assert.equal(nextDueTime(every, start, start + 3 * MINUTE), start + 10 * MINUTE);
+  assert.equal(nextDueTime(every, start, start + 12 * MINUTE), start + 22 * MINUTE);
+
+  const hourly = parseSchedule('0 * * * *');
+  assert.equal(nextDueTime(hourly, start, start + 20 * MINUTE), start + 60 * MINUTE);
+  assert.equal(nextDueTime(hourly, start, start + 150 * MINUTE), start + 180 * MINUTE);
+});
+
+test('runs each job at start and then on its interval, recording every run', async t => {
+  const timers = fakeTimers(t);
+  const store = createStore();
+  let runs = 0;
+  const scheduler = createScheduler({
+    store,
+    jobs: [{ name: 'refresh', schedule: '5m', run: async () => ({ ok: true, collections: ++runs }) }]
+  });
+
+  scheduler.start();
+  await settle();
+  assert.equal(runs, 1);
+  assert.deepEqual(timers.timers.map(timer => timer.delay), [5 * MINUTE]);
+
+  await timers.fire();
+  assert.equal(runs, 2);
+  assert.deepEqual(store.runs.map(run => [run.job, run.outcome, run.collections]), [
+    ['refresh', 'success', 1],
+    ['refresh', 'success', 2]
+  ]);
+  await scheduler.stop();
+});
+
+test('backs off exponentially after failures, up to the maximum, and recovers', async t => {
+  const timers = fakeTimers(t);
+  const store = createStore();
+  const results = [
+    () => Promise.reject(new Error('upstream down')),
+    () => ({ ok: false }),
+    () => Promise.reject(new Error('upstream down')),
+    () => Promise.reject(new Error('upstream down')),
+    () => Promise.reject(new Error('upstream down')),
+    () => Promise.reject(new Error('upstream down')),
+    () => ({ ok: true })
+  ];
+  const scheduler = createScheduler({
+    store,
+    jobs: [{ name: 'refresh', schedule: '5m', run: async () => results.shift()() }]
+  });
+
+  scheduler.start();
+  await settle();
+  const delays = [timers.timers[0].delay];
+  while (results.length) {
+    await timers.fire();
+    delays.push(timers.timers[0].delay);
+  }
+
+  assert.deepEqual(delays.map(delay => delay / MINUTE), [5, 10, 20, 40, 60, 60, 5]);
+  assert.deepEqual(store.runs.map(run => run.outcome), [
+    'failure', 'failure', 'failure', 'failure', 'failure', 'failure', 'success'
+  ]);
+  assert.equal(store.runs[0].error, 'upstream down');
+  await scheduler.stop();
+});
+
+test('splits waits longer than setTimeout allows and runs once due', async t => {
+  const timers = fakeTimers(t);
+  const store = createStore();
+  const scheduler = createScheduler({
+    store,
+    jobs: [{ name: 'archive', schedule: '60d', run: async () => ({ ok: true }) }]
+  });
+
+  scheduler.start();
+  await settle();
+  const delays = [];
+  while (store.runs.length < 2) {
+    delays.push(timers.timers[0].delay);
+    await timers.fire();
+  }
+
+  const MAX_TIMEOUT = 2 ** 31 - 1;
+  assert.deepEqual(delays, [MAX_TIMEOUT, MAX_TIMEOUT, 60 * 24 * 60 * MINUTE - 2 * MAX_TIMEOUT]);
+  await scheduler.stop();
+});
+
+test('waits for the next match of a cron schedule', async t => {
+  const timers = fakeTimers(t);
+  t.after(() => clock.unpin());
+  clock.pin(new Date(2026, 2, 6, 10, 20).getTime());
+  const scheduler = createScheduler({
+    store: createStore(),
+    jobs: [{ name: 'hourly', schedule: '0 * * * *', run: async () => ({ ok: true }) }]
+  });
+
+  scheduler.start();
+  await settle();
+  assert.equal(timers.timers[0].delay, 40 * MINUTE);
+  await scheduler.stop();
+});
+
+test('stop waits for the run in flight and schedules nothing after it', async t => {
+  const timers = fakeTimers(t);
+  let finish;
+  const scheduler = createScheduler({
+    store: createStore(),
+    jobs: [{ name: 'slow', schedule: '1m', run: () => new Promise(resolve => { finish = resolve; }) }]
+  });
+
+  scheduler.start();
+  await settle();
+  let stopped = false;
+  const stopping = scheduler.stop().then(() => { stopped = true; });
+  await settle();
+  assert.equal(stopped, false);
+
+  finish({ ok: true });
+  await stopping;
+  assert.equal(stopped, true);
+  assert.equal(timers.timers.length, 0);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStore, migrateLegacyState } = require('../lib/store');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function takenAts(store, board) {
+  return store.db.prepare('SELECT taken_at FROM snapshots WHERE board = ? ORDER BY taken_at').all(board)
+    .map(row => row.taken_at);
+}
+
+test('returns the latest snapshot with its entries in rank order', () => {
+  const store = openStore(':memory:');
+  store.recordSnapshot('eth/volume', 1000, [{ collectionId: 'a', rank: 1 }]);
+  store.recordSnapshot('eth/volume', 2000, [
+    {
+      collectionId: 'b',
+      rank: 2,
+      chain: 'ethereum',
+      name: 'B',
+      floor: 1.5,
+      volume: { '1day': 10, '7day': 70 },
+      sales: { '1day': 3 },
+      color: 'green'
+    },
+    { collectionId: 'a', rank: 1 }
+  ]);
+  store.recordSnapshot('eth/floor', 3000, [{ collectionId: 'c', rank: 1 }]);
+
+  const latest = store.latestSnapshot('eth/volume');
+  assert.equal(latest.takenAt, 2000);
+  assert.deepEqual(latest.entries.map(entry => entry.collectionId), ['a', 'b']);
+  assert.deepEqual(latest.entries[1], {
+    collectionId: 'b',
+    chain: 'ethereum',
+    name: 'B',
+    rank: 2,
+    floor: 1.5,
+    volume: { '1day': 10, '7day': 70, '30day': null },
+    sales: { '1day': 3 },
+    color: 'green'
+  });
+  assert.equal(store.latestSnapshot('eth/unknown'), null);
+  store.close();
+});
+
+test('prune drops old snapshots and thins the rest to hourly, then daily', () => {
+  const store = openStore(':memory:');
+  const now = 1000 * DAY;
+  const times = [
+    now - 400 * DAY,
+    now - 40 * DAY + 1 * HOUR,
+    now - 40 * DAY + 5 * HOUR,
+    now - 40 * DAY + 20 * HOUR,
+    now - 5 * DAY + 10 * MINUTE,
+    now - 5 * DAY + 20 * MINUTE,
+    now - 5 * DAY + 50 * MINUTE,
+    now - 5 * DAY + 2 * HOUR,
+    now - HOUR + 5 * MINUTE,
+    now - HOUR + 15 * MINUTE
+  ];
+  for (const takenAt of times) store.recordSnapshot('eth/volume', takenAt, [{ collectionId: 'a', rank: 1 }]);
+  store.recordSnapshot('eth/floor', now - 400 * DAY, [{ collectionId: 'a', rank: 1 }]);
+
+  store.prune('eth/volume', now);
+
+  assert.deepEqual(takenAts(store, 'eth/volume'), [
+    now - 40 * DAY + 1 * HOUR,
+    now - 5 * DAY + 10 * MINUTE,
+    now - 5 * DAY + 2 * HOUR,
+    now - HOUR + 5 * MINUTE,
+    now - HOUR + 15 * MINUTE
+  ]);
+  assert.deepEqual(takenAts(store, 'eth/floor'), [now - 400 * DAY]);
+  const orphans = store.db.prepare(
+    'SELECT COUNT(*) AS count FROM snapshot_entries WHERE snapshot_id NOT IN (SELECT id FROM snapshots)'
+  ).get();
+  assert.equal(orphans.count, 0);
+  store.close();
+});
+
+test('migrates legacy JSON state once', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  fs.writeFileSync(path.join(dir, 'previous_rankings.json'), JSON.stringify({ a: 1, b: 2 }));
+  fs.writeFileSync(path.join(dir, 'previous_colors.json'), JSON.stringify({ a: 'green' }));
+  const historyFile = path.join(dir, 'rankings_history.json');
+  fs.writeFileSync(historyFile, JSON.stringify([{ timestamp: 1700000000, rankings: { a: 2, b: 1 } }]));
+
+  const store = openStore(':memory:');
+  const boards = [{ key: 'apechain/volume', stateDir: dir, rootRoute: true }];
+  migrateLegacyState(store, boards, historyFile);
+  migrateLegacyState(store, boards, historyFile);
+
+  assert.equal(takenAts(store, 'apechain/volume').length, 2);
+  assert.equal(takenAts(store, 'apechain/volume')[0], 1700000000 * 1000);
+  const latest = store.latestSnapshot('apechain/volume');
+  assert.deepEqual(latest.entries.map(entry => [entry.collectionId, entry.rank, entry.color]), [
+    ['a', 1, 'green'],
+    ['b', 2, null]
+  ]);
+  store.close();
+});
+
+test('returns job runs newest first', () => {
+  const store = openStore(':memory:');
+  store.recordJobRun({ job: 'refresh:a', startedAt: 1000, finishedAt: 1500, outcome: 'success', collections: 20 });
+  store.recordJobRun({ job: 'refresh:a', startedAt: 2000, finishedAt: 2250, outcome: 'failure', error: 'upstream down' });
+  store.recordJobRun({ job: 'refresh:b', startedAt: 3000, finishedAt: 3100, outcome: 'success', collections: 5 });
+
+  assert.deepEqual(store.jobRuns('refresh:a', 1), [
+    { job: 'refresh:a', startedAt: 2000, finishedAt: 2250, durationMs: 250, outcome: 'failure', collections: 0, error: 'upstream down' }
+  ]);
+  assert.deepEqual(store.jobRuns('refresh:a').map(run => run.startedAt), [2000, 1000]);
+  store.close();
+});
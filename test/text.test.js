@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { graphemes, truncate, formatCompact, fitFont, ellipsize, wrapText } = require('../lib/text');
+
+// A context whose glyphs are all half as wide as the font size.
+function context(font = '20px Lato') {
+  return {
+    font,
+    measureText(text) {
+      return { width: graphemes(text).length * Number(/(\d+)px/.exec(this.font)[1]) / 2 };
+    }
+  };
+}
+
+test('truncates by graphemes, never splitting emoji or combining marks', () => {
+  assert.equal(truncate('Bored Ape', 20), 'Bored Ape');
+  assert.equal(truncate('Bored Ape Yacht Club', 10), 'Bored Ape…');
+  assert.equal(truncate('👨‍👩‍👧‍👦 Family Club', 3), '👨‍👩‍👧‍👦 …');
+  assert.equal(truncate('Café Crème', 4), 'Caf…');
+  assert.deepEqual(graphemes('éx'), ['é', 'x']);
+});
+
+test('formats compact numbers', () => {
+  assert.equal(formatCompact(950), '950');
+  assert.equal(formatCompact(1234), '1.2K');
+  assert.equal(formatCompact(3400000), '3.4M');
+  assert.equal(formatCompact(1250, 2), '1.25K');
+});
+
+test('steps the font down until the text fits, but not below the minimum', () => {
+  const ctx = context();
+  assert.equal(fitFont(ctx, 'abcd', 'bold 20px Lato', 100), 'bold 20px Lato');
+  assert.equal(fitFont(ctx, 'abcdefghij', 'bold 20px Lato', 80), 'bold 16px Lato');
+  assert.equal(fitFont(ctx, 'abcdefghijklmnopqrst', 'bold 20px Lato', 50, 12), 'bold 12px Lato');
+  assert.equal(fitFont(ctx, 'abc', 'bold Lato', 10), 'bold Lato');
+});
+
+test('ellipsizes to the width', () => {
+  const ctx = context();
+  assert.equal(ellipsize(ctx, 'short', 100), 'short');
+  assert.equal(ellipsize(ctx, 'Bored Ape Yacht Club', 100), 'Bored Ape…');
+  assert.equal(ellipsize(ctx, 'Bored Ape Yacht', 70), 'Bored…');
+});
+
+test('wraps words, breaks long ones and ellipsizes what is left over', () => {
+  const ctx = context();
+  assert.deepEqual(wrapText(ctx, 'Bored Ape Yacht Club', 100), ['Bored Ape', 'Yacht Club']);
+  assert.deepEqual(wrapText(ctx, 'Supercalifragilistic', 100), ['Supercalif', 'ragilistic']);
+  assert.deepEqual(wrapText(ctx, 'Mutant Ape Yacht Club Kennel', 100, 2), ['Mutant Ape', 'Yacht Clu…']);
+  assert.deepEqual(wrapText(ctx, '  ', 100), []);
+});
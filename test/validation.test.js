@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ValidationError,
+  integer,
+  string,
+  time,
+  oneOf,
+  required,
+  validate,
+  notFound,
+  handleErrors
+} = require('../lib/validation');
+
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Runs a validate() middleware; nextArg is what it passed to next(), if it
+// called it.
+function run(schema, req) {
+  const res = response();
+  let nextArg = 'not called';
+  validate(schema)(req, res, arg => { nextArg = arg; });
+  return { req, res, nextArg };
+}
+
+test('rules parse strings and reject anything else', () => {
+  assert.equal(integer({ min: 1 })('42', 'limit'), 42);
+  assert.throws(() => integer()('4.5', 'limit'), { message: 'limit must be an integer' });
+  assert.throws(() => integer()('99999999999999999999', 'limit'), ValidationError);
+  assert.throws(() => integer({ min: 1, max: 100 })('0', 'limit'), { message: 'limit must be between 1 and 100' });
+  assert.throws(() => integer({ min: 1 })('0', 'id'), { message: 'id must be at least 1' });
+  assert.throws(() => integer()(['1', '2'], 'limit'), { message: 'limit must be a string' });
+
+  assert.equal(string({ trim: true })('  abc ', 'name'), 'abc');
+  assert.throws(() => string({ trim: true })('   ', 'name'), { message: 'name must not be empty' });
+  assert.throws(() => string({ maxLength: 3 })('abcd', 'name'), { message: 'name must be at most 3 characters' });
+  assert.throws(() => string({ pattern: /^[a-z]+$/ })('ABC', 'name'), { message: 'name is not valid' });
+  assert.throws(() => string()({ a: 1 }, 'name'), { message: 'name must be a string' });
+
+  assert.equal(time()('1767225600', 'from'), 1767225600000);
+  assert.equal(time()('2026-01-01T00:00:00Z', 'from'), 1767225600000);
+  assert.throws(() => time()('yesterday', 'from'), { message: 'Invalid "from" timestamp' });
+
+  assert.equal(oneOf(['csv', 'ndjson'])('csv', 'format'), 'csv');
+  assert.throws(() => oneOf(['csv', 'ndjson'])('xml', 'format'), { message: 'format must be "csv" or "ndjson"' });
+});
+
+test('validate merges parsed values onto req.input and skips missing optional ones', () => {
+  const { req, nextArg } = run(
+    { params: { id: required(integer()) }, query: { limit: integer(), board: string() } },
+    { params: { id: '7' }, query: { limit: '', other: 'x' } }
+  );
+  assert.equal(nextArg, undefined);
+  assert.deepEqual(req.input, { id: 7 });
+});
+
+test('validate answers 400 with the first problem', () => {
+  const missing = run({ query: { board: required(string()) } }, { query: {} });
+  assert.equal(missing.nextArg, 'not called');
+  assert.equal(missing.res.statusCode, 400);
+  assert.deepEqual(missing.res.body, { error: 'board is required' });
+
+  const notObject = run({ body: { collectionId: string() } }, { body: [1] });
+  assert.deepEqual(notObject.res.body, { error: 'Request body must be a JSON object' });
+});
+
+test('validate passes errors from rules that are not validation errors on', () => {
+  const failure = new Error('boom');
+  const { nextArg } = run({ query: { x: () => { throw failure; } } }, { query: { x: '1' } });
+  assert.equal(nextArg, failure);
+});
+
+test('unmatched routes and errors become JSON', t => {
+  t.mock.method(console, 'error', () => {});
+  const res = response();
+  notFound({}, res);
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(res.body, { error: 'Not found' });
+
+  const req = { method: 'GET', originalUrl: '/x' };
+  const exposed = response();
+  handleErrors(Object.assign(new Error('Unexpected token'), { status: 400, expose: true }), req, exposed);
+  assert.equal(exposed.statusCode, 400);
+  assert.deepEqual(exposed.body, { error: 'Unexpected token' });
+
+  const hidden = response();
+  handleErrors(new Error('database is locked'), req, hidden);
+  assert.equal(hidden.statusCode, 500);
+  assert.deepEqual(hidden.body, { error: 'Internal Server Error' });
+});